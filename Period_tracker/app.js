@@ -3,998 +3,6096 @@
  * Pure Vanilla JS Implementation (MPA Style with Hash Routing)
  */
 
-const STORAGE_KEY = 'cyclesync_data_v1';
+const STORAGE_KEY = 'cyclesync_data_v1'; // Legacy localStorage blob, imported into IndexedDB once
 const DEFAULT_CYCLE_LENGTH = 28;
 const DEFAULT_PERIOD_LENGTH = 5;
 
-// --- STATE MANAGEMENT ---
-const AppState = {
-    data: {
-        currentUserIndex: null,
-        users: []
+// --- UTIL: LOCAL CALENDAR DATES ---
+// A day is a 'YYYY-MM-DD' string in the device's own timezone: that is how
+// dates are stored, compared and used as log keys. Where a Date is needed it
+// stands for local midnight of the day. Never read a day with new Date(str),
+// which takes it as UTC midnight, or write one with toISOString(), which
+// gives the UTC date; both are a day off for part of every day in most timezones.
+const LocalDate = {
+    PATTERN: /^\d{4}-\d{2}-\d{2}$/,
+    MS_PER_DAY: 1000 * 60 * 60 * 24,
+
+    // Local midnight of a day
+    parse(dateStr) {
+        const [year, month, day] = dateStr.split('-').map(Number);
+        return new Date(year, month - 1, day);
     },
-    
-    init() {
-        const stored = localStorage.getItem(STORAGE_KEY);
-        if (stored) {
-            this.data = JSON.parse(stored);
-        }
-        // Ensure data integrity for new features
-        if (this.data.users) {
-            this.data.users.forEach(u => {
-                if (!u.logs) u.logs = {}; // Init logs if missing
-            });
-        }
+
+    // The local day a Date falls on
+    format(date) {
+        const pad = n => String(n).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
     },
 
-    save() {
-        localStorage.setItem(STORAGE_KEY, JSON.stringify(this.data));
+    today(now = new Date()) {
+        return this.format(now);
     },
 
-    // Import Data
-    importData(jsonData) {
-        try {
-            const parsed = JSON.parse(jsonData);
-            if (parsed.users && Array.isArray(parsed.users)) {
-                this.data = parsed;
-                this.save();
-                return true;
-            }
-        } catch (e) {
-            console.error(e);
-        }
-        return false;
+    // Well-formed and on the calendar (no February 30th)
+    isValid(value) {
+        return typeof value === 'string' && this.PATTERN.test(value) && this.format(this.parse(value)) === value;
     },
 
-    getCurrentUser() {
-        if (this.data.currentUserIndex === null || !this.data.users[this.data.currentUserIndex]) return null;
-        return this.data.users[this.data.currentUserIndex];
+    addDays(dateStr, days) {
+        const d = this.parse(dateStr);
+        d.setDate(d.getDate() + days);
+        return this.format(d);
     },
 
-    addUser(name, lastPeriodDate) {
-        const newUser = {
-            id: 'u' + Date.now(),
-            name: name,
-            themeColor: '#FF8DA1',
-            cycles: [],
-            logs: {} // Date string Key -> { mood, flow, symptoms[] }
+    // A day past the end of the target month becomes its last day (Mar 31 - 1 month = Feb 28)
+    addMonths(dateStr, months) {
+        const [year, month, day] = dateStr.split('-').map(Number);
+        const lastDay = new Date(year, month - 1 + months + 1, 0).getDate();
+        return this.format(new Date(year, month - 1 + months, Math.min(day, lastDay)));
+    },
+
+    // Whole days from a to b, each a day or a Date. Counted on the calendar,
+    // so the 23- and 25-hour days around DST changes are one day each.
+    daysBetween(a, b) {
+        const calendarDay = value => {
+            const d = typeof value === 'string' ? this.parse(value) : value;
+            return Date.UTC(d.getFullYear(), d.getMonth(), d.getDate());
         };
-        
-        if (lastPeriodDate) {
-            newUser.cycles.push({
-                startDate: lastPeriodDate,
-                endDate: null
-            });
-        }
+        return Math.round((calendarDay(b) - calendarDay(a)) / this.MS_PER_DAY);
+    },
 
-        this.data.users.push(newUser);
-        this.data.currentUserIndex = this.data.users.length - 1;
-        this.save();
-        return newUser;
+    // Local midnight of the day a Date falls on
+    startOfDay(date) {
+        return new Date(date.getFullYear(), date.getMonth(), date.getDate());
     },
 
-    switchUser(index) {
-        this.data.currentUserIndex = index;
-        this.save();
+    compare(a, b) {
+        return a < b ? -1 : a > b ? 1 : 0;
     },
 
-    deleteUser(index) {
-        const isCurrentUser = index === this.data.currentUserIndex;
-        this.data.users.splice(index, 1);
-        if (this.data.users.length === 0) {
-            this.data.currentUserIndex = null;
-        } else {
-            if (index < this.data.currentUserIndex) {
-                this.data.currentUserIndex--;
-            } else if (isCurrentUser) {
-                this.data.currentUserIndex = 0;
-            }
+    // toLocaleDateString for a day, e.g. display('2026-10-19', { month: 'short', day: 'numeric' })
+    display(dateStr, options) {
+        return this.parse(dateStr).toLocaleDateString(undefined, options);
+    }
+};
+
+// --- SECURITY: ENCRYPTION AT REST ---
+// A passcode is stretched with PBKDF2 into an AES-GCM key (record contents)
+// and an HMAC key (opaque lookup keys, so log dates aren't readable either).
+// The keys only ever live in memory while the app is unlocked.
+const Vault = {
+    ITERATIONS: 310000,
+    VERIFIER: 'cyclesync-lock',
+    keys: null, // { enc, mac } while unlocked
+
+    toBase64(bytes) {
+        let binary = '';
+        for (let i = 0; i < bytes.length; i += 0x8000) {
+            binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
         }
-        this.save();
+        return btoa(binary);
     },
 
-    // --- LOGIC: Cycle Calculations ---
-    getCycles() {
-        const user = this.getCurrentUser();
-        return user ? user.cycles.sort((a, b) => new Date(b.startDate) - new Date(a.startDate)) : [];
+    fromBase64(text) {
+        return Uint8Array.from(atob(text), ch => ch.charCodeAt(0));
     },
 
-    getLatestCycle() {
-        const cycles = this.getCycles();
-        return cycles.length > 0 ? cycles[0] : null;
+    deriveKeys(passphrase, salt, iterations) {
+        const subtle = crypto.subtle;
+        return subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveBits'])
+            .then(base => subtle.deriveBits(
+                { name: 'PBKDF2', salt: this.fromBase64(salt), iterations: iterations, hash: 'SHA-256' }, base, 512
+            ))
+            .then(bits => Promise.all([
+                subtle.importKey('raw', bits.slice(0, 32), 'AES-GCM', false, ['encrypt', 'decrypt']),
+                subtle.importKey('raw', bits.slice(32), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign'])
+            ]))
+            .then(([enc, mac]) => ({ enc: enc, mac: mac }));
     },
 
-    getAverageCycleLength() {
-        const cycles = this.getCycles();
-        if (cycles.length < 2) return DEFAULT_CYCLE_LENGTH;
-        let totalDays = 0;
-        let count = 0;
-        const recentCycles = cycles.slice(0, 4); 
-        for (let i = 0; i < recentCycles.length - 1; i++) {
-            const current = new Date(recentCycles[i].startDate);
-            const prev = new Date(recentCycles[i+1].startDate);
-            const diff = Math.ceil(Math.abs(current - prev) / (1000 * 60 * 60 * 24));
-            totalDays += diff;
-            count++;
-        }
-        return count === 0 ? DEFAULT_CYCLE_LENGTH : Math.round(totalDays / count);
+    encrypt(keys, value) {
+        const iv = crypto.getRandomValues(new Uint8Array(12));
+        const plain = new TextEncoder().encode(JSON.stringify(value));
+        return crypto.subtle.encrypt({ name: 'AES-GCM', iv: iv }, keys.enc, plain)
+            .then(cipher => ({ iv: this.toBase64(iv), data: this.toBase64(new Uint8Array(cipher)) }));
     },
 
-    isPeriodActive() {
-        const latest = this.getLatestCycle();
-        return latest && !latest.endDate;
+    // Rejects when the keys are wrong or the data was tampered with
+    decrypt(keys, envelope) {
+        return crypto.subtle.decrypt({ name: 'AES-GCM', iv: this.fromBase64(envelope.iv) }, keys.enc, this.fromBase64(envelope.data))
+            .then(plain => JSON.parse(new TextDecoder().decode(plain)));
     },
 
-    logPeriodStart(dateStr) {
-        const user = this.getCurrentUser();
-        const latest = this.getLatestCycle();
-        if (latest && !latest.endDate) latest.endDate = dateStr;
-        user.cycles.push({ startDate: dateStr, endDate: null });
-        this.save();
+    // Deterministic stand-in for a lookup key such as a log date
+    blindIndex(keys, text) {
+        return crypto.subtle.sign('HMAC', keys.mac, new TextEncoder().encode(text))
+            .then(sig => this.toBase64(new Uint8Array(sig).subarray(0, 16)));
     },
 
-    logPeriodEnd(dateStr) {
-        const cycles = this.getCycles(); // this returns sorted copy, careful. We need ref to original object in array.
-        // Actually getCycles returns sorted array of refs if objects are refs. Yes.
-        if (cycles.length > 0 && !cycles[0].endDate) {
-            cycles[0].endDate = dateStr;
-            this.save();
-        }
+    // Slow one-way hash for per-profile PINs, base64
+    hashPin(pin, salt, iterations) {
+        return crypto.subtle.importKey('raw', new TextEncoder().encode(pin), 'PBKDF2', false, ['deriveBits'])
+            .then(base => crypto.subtle.deriveBits(
+                { name: 'PBKDF2', salt: this.fromBase64(salt), iterations: iterations, hash: 'SHA-256' }, base, 256
+            ))
+            .then(bits => this.toBase64(new Uint8Array(bits)));
     },
 
-    // --- LOGIC: Daily Logs ---
-    saveDailyLog(dateStr, data) {
-        const user = this.getCurrentUser();
-        if (!user.logs) user.logs = {};
-        user.logs[dateStr] = data;
-        this.save();
+    // New lock config (stored in the clear) for a passcode; unlocks with it
+    createLock(passphrase) {
+        const salt = this.toBase64(crypto.getRandomValues(new Uint8Array(16)));
+        return this.deriveKeys(passphrase, salt, this.ITERATIONS).then(keys =>
+            this.encrypt(keys, this.VERIFIER).then(verifier => {
+                this.keys = keys;
+                return { salt: salt, iterations: this.ITERATIONS, verifier: verifier };
+            })
+        );
     },
 
-    getLog(dateStr) {
-        const user = this.getCurrentUser();
-        return (user && user.logs) ? user.logs[dateStr] : null;
+    // Resolves true and keeps the keys when the passcode matches the lock
+    unlock(lock, passphrase) {
+        return this.deriveKeys(passphrase, lock.salt, lock.iterations)
+            .then(keys => this.decrypt(keys, lock.verifier).then(value => {
+                if (value !== this.VERIFIER) return false;
+                this.keys = keys;
+                return true;
+            }))
+            .catch(() => false);
     }
 };
 
-// --- DATA: EMOTIONAL SUPPORT ---
-const AffirmationLibrary = {
-    'Menstrual Phase': [
-        "It is productive to rest. You don't have to do it all today.",
-        "Listen to your body. Slow down and recharge.",
-        "Be gentle with yourself. You are doing enough."
-    ],
-    'Follicular Phase': [
-        "Your potential is limitless today.",
-        "Embrace your rising energy. Create something new!",
-        "You are glowing from the inside out."
-    ],
-    'Ovulation Phase': [
-        "You are magnetic and powerful.",
-        "Confidence looks good on you.",
-        "Connect with others and share your light."
-    ],
-    'Luteal Phase': [
-        "Honor your boundaries. It's okay to say no.",
-        "Your feelings are valid. Take care of your heart.",
-        "Turn inward and find your calm."
+// --- STORAGE (IndexedDB) ---
+// Profiles, cycles and daily logs live in separate object stores so a single
+// tap only rewrites the records it touched. AppState keeps the assembled
+// in-memory copy; writes here are queued and never block rendering. With a
+// passcode set, records keep only their lookup keys in the clear and carry
+// the rest in a `sealed` envelope (see Vault).
+const Storage = {
+    DB_NAME: 'cyclesync',
+    SCHEMA_VERSION: 1,
+    db: null,
+    queue: Promise.resolve(),
+
+    // MIGRATIONS[n] upgrades the database from version n to n + 1. They run in
+    // order inside the upgrade transaction, so a failed step rolls back cleanly.
+    MIGRATIONS: [
+        // 0 -> 1: stores for the data that used to live in the v1 blob
+        (db) => {
+            db.createObjectStore('meta');
+            db.createObjectStore('users', { keyPath: 'id' });
+            const cycles = db.createObjectStore('cycles', { keyPath: 'id', autoIncrement: true });
+            cycles.createIndex('userId', 'userId');
+            const logs = db.createObjectStore('logs', { keyPath: ['userId', 'date'] });
+            logs.createIndex('userId', 'userId');
+        }
     ],
-    'Late Phase': [
-        "Breathe. Stressing won't help. Trust your body.",
-        "Patience is a form of self-love."
-    ]
-};
 
-const PartnerMessages = {
-    'Menstrual Phase': "Hey! I'm on Day 1 of my cycle. Operating on low power mode today. Warm hugs and snacks would be amazing. 🍫❤️",
-    'Follicular Phase': "Feeling energized and creative today! Ready to take on the world. ✨",
-    'Ovulation Phase': "Feeling super confident and high energy today! 🌟 Let's do something fun!",
-    'Luteal Phase': "I'm in my Luteal phase (pre-period). My social battery is a bit low and I might need some extra patience today. 🔋💛",
-    'Late Phase': "My period is a bit late and I'm feeling a little stressed about it. Just a heads up! 🤍"
-};
+    open() {
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.DB_NAME, this.SCHEMA_VERSION);
+            request.onupgradeneeded = (e) => {
+                for (let v = e.oldVersion; v < this.SCHEMA_VERSION; v++) {
+                    this.MIGRATIONS[v](request.result, request.transaction);
+                }
+            };
+            request.onsuccess = () => {
+                this.db = request.result;
+                resolve(this.db);
+            };
+            request.onerror = () => reject(request.error);
+        });
+    },
 
-// --- ROUTER ---
-const Router = {
-    routes: {
-        '#dashboard': 'view-dashboard',
-        '#calendar': 'view-calendar',
-        '#analytics': 'view-analytics',
-        '#settings': 'view-settings',
-        '#learn': 'view-learn',
-        '#log': 'view-log',
-        'default': 'view-dashboard'
+    // Runs `work(stores)` in one transaction and resolves once it commits.
+    // If work returns an IDBRequest, its result is what the promise resolves to.
+    run(storeNames, mode, work) {
+        return new Promise((resolve, reject) => {
+            const tx = this.db.transaction(storeNames, mode);
+            const stores = {};
+            storeNames.forEach(name => { stores[name] = tx.objectStore(name); });
+            const result = work(stores);
+            tx.oncomplete = () => resolve(result instanceof IDBRequest ? result.result : result);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
     },
 
-    init() {
-        window.addEventListener('hashchange', () => this.handleRoute());
-        this.handleRoute(); // Initial load
+    // Sealing is async and can't happen inside a transaction, so writes are
+    // chained: a later write must never commit before an earlier one.
+    enqueue(write) {
+        const next = this.queue.then(() => write());
+        this.queue = next.catch(() => {});
+        return next;
     },
 
-    handleRoute() {
-        const hash = window.location.hash || '#dashboard';
-        const user = AppState.getCurrentUser();
+    // --- Record sealing (identity when no passcode is set) ---
+    sealProfile(user) {
+        const { cycles, logs, ...profile } = user;
+        if (!Vault.keys) return Promise.resolve(profile);
+        return Vault.encrypt(Vault.keys, profile).then(sealed => ({ id: user.id, sealed: sealed }));
+    },
 
-        // Guard: If no user, force onboarding
-        if (!user) {
-            this.showScreen('view-onboarding');
-            return;
-        }
+    sealCycle(userId, cycle) {
+        if (!Vault.keys) return Promise.resolve({ ...cycle, userId: userId });
+        return Vault.encrypt(Vault.keys, cycle).then(sealed => ({ userId: userId, sealed: sealed }));
+    },
 
-        this.showScreen('main-app'); // Ensure main app is visible
+    logKey(date) {
+        return Vault.keys ? Vault.blindIndex(Vault.keys, date) : Promise.resolve(date);
+    },
 
-        // Special handling for log (maybe pass date params later)
-        if (hash.startsWith('#log')) {
-             // allow render
-        }
+    sealLog(userId, date, log) {
+        if (!Vault.keys) return Promise.resolve({ ...log, userId: userId, date: date });
+        return Promise.all([this.logKey(date), Vault.encrypt(Vault.keys, { ...log, date: date })])
+            .then(([key, sealed]) => ({ userId: userId, date: key, sealed: sealed }));
+    },
 
-        const targetId = this.routes[hash] || this.routes['default'];
-        
-        // Update Nav Active State
-        document.querySelectorAll('.nav-item').forEach(el => {
-            if(el.getAttribute('href') === hash) el.classList.add('active');
-            else el.classList.remove('active');
+    sealAll(user) {
+        return Promise.all([
+            this.sealProfile(user),
+            Promise.all(user.cycles.map(c => this.sealCycle(user.id, c))),
+            Promise.all(Object.entries(user.logs).map(([date, log]) => this.sealLog(user.id, date, log)))
+        ]).then(([profile, cycles, logs]) => ({ profile: profile, cycles: cycles, logs: logs }));
+    },
+
+    unseal(record) {
+        return record.sealed ? Vault.decrypt(Vault.keys, record.sealed) : Promise.resolve(record);
+    },
+
+    getMeta(key) {
+        return this.run(['meta'], 'readonly', (s) => s.meta.get(key));
+    },
+
+    // Assembles the same { currentUserIndex, users[] } shape the app works with
+    load() {
+        const reads = {};
+        return this.run(['meta', 'users', 'cycles', 'logs'], 'readonly', (s) => {
+            reads.currentUserId = s.meta.get('currentUserId');
+            reads.users = s.users.getAll();
+            reads.cycles = s.cycles.getAll();
+            reads.logs = s.logs.getAll();
+        }).then(() => Promise.all([
+            Promise.all(reads.users.result.map(r => this.unseal(r))),
+            Promise.all(reads.cycles.result.map(r => this.unseal(r).then(c => ({ ...c, userId: r.userId })))),
+            Promise.all(reads.logs.result.map(r => this.unseal(r).then(l => ({ ...l, userId: r.userId }))))
+        ])).then(([profiles, cycles, logs]) => {
+            const users = profiles.map(profile => ({ ...profile, cycles: [], logs: {} }));
+            const byId = {};
+            users.forEach(u => { byId[u.id] = u; });
+
+            cycles.forEach(({ id, userId, ...cycle }) => {
+                if (byId[userId]) byId[userId].cycles.push(cycle);
+            });
+            logs.forEach(({ userId, date, ...log }) => {
+                if (byId[userId]) byId[userId].logs[date] = log;
+            });
+
+            const index = users.findIndex(u => u.id === reads.currentUserId.result);
+            return { currentUserIndex: index === -1 ? null : index, users: users };
         });
+    },
 
-        // Show View
-        document.querySelectorAll('.view').forEach(el => el.classList.remove('active'));
-        const targetEl = document.getElementById(targetId);
-        if(targetEl) {
-            targetEl.classList.add('active');
-            // Trigger specific renderers
-            if(targetId === 'view-dashboard') UI.renderDashboard();
-            if(targetId === 'view-calendar') UI.renderCalendar();
-            if(targetId === 'view-analytics') UI.renderAnalytics();
-            if(targetId === 'view-log') UI.LogController.initForm();
-        }
+    writeCycles(store, userId, records) {
+        // Cycle keys are generated, so old and new records never collide
+        store.index('userId').getAllKeys(userId).onsuccess = (e) => {
+            e.target.result.forEach(key => store.delete(key));
+        };
+        records.forEach(record => store.add(record));
     },
 
-    showScreen(screenId) {
-        // Toggle between Onboarding and Main App
-        if(screenId === 'view-onboarding') {
-            document.getElementById('view-onboarding').classList.add('active');
-            document.getElementById('view-onboarding').classList.remove('hidden');
-            document.getElementById('main-app').classList.add('hidden');
-        } else {
-            document.getElementById('view-onboarding').classList.remove('active');
-            document.getElementById('view-onboarding').classList.add('hidden');
-            document.getElementById('main-app').classList.remove('hidden');
-        }
+    deleteUserRecords(stores, userId) {
+        stores.users.delete(userId);
+        stores.cycles.index('userId').getAllKeys(userId).onsuccess = (e) => {
+            e.target.result.forEach(key => stores.cycles.delete(key));
+        };
+        stores.logs.delete(IDBKeyRange.bound([userId, ''], [userId, '\uffff']));
+    },
+
+    putUser(user) {
+        return this.enqueue(() => this.sealAll(user).then(sealed =>
+            this.run(['users', 'cycles'], 'readwrite', (s) => {
+                s.users.put(sealed.profile);
+                this.writeCycles(s.cycles, user.id, sealed.cycles);
+            })
+        ));
+    },
+
+    putProfile(user) {
+        return this.enqueue(() => this.sealProfile(user).then(profile =>
+            this.run(['users'], 'readwrite', (s) => s.users.put(profile))
+        ));
+    },
+
+    putCycles(user) {
+        return this.enqueue(() => Promise.all(user.cycles.map(c => this.sealCycle(user.id, c))).then(records =>
+            this.run(['cycles'], 'readwrite', (s) => this.writeCycles(s.cycles, user.id, records))
+        ));
+    },
+
+    putLog(userId, date, log) {
+        const sealing = log ? this.sealLog(userId, date, log) : this.logKey(date);
+        return this.enqueue(() => sealing.then(result =>
+            this.run(['logs'], 'readwrite', (s) => {
+                if (log) s.logs.put(result);
+                else s.logs.delete([userId, result]);
+            })
+        ));
+    },
+
+    // Several days' logs ({ date: log }) in one transaction
+    putLogs(userId, logs) {
+        const sealing = Promise.all(Object.entries(logs).map(([date, log]) => this.sealLog(userId, date, log)));
+        return this.enqueue(() => sealing.then(records =>
+            this.run(['logs'], 'readwrite', (s) => records.forEach(record => s.logs.put(record)))
+        ));
+    },
+
+    deleteUser(userId) {
+        return this.enqueue(() => this.run(['users', 'cycles', 'logs'], 'readwrite', (s) => this.deleteUserRecords(s, userId)));
+    },
+
+    setMeta(key, value) {
+        return this.enqueue(() => this.run(['meta'], 'readwrite', (s) => s.meta.put(value, key)));
+    },
+
+    /**
+     * Swaps the whole database for `data` in one transaction (restore, first
+     * import, passcode changes). Pass `lock` to store a new lock config in the
+     * same transaction, or null to remove it; leave it out to keep the current one.
+     */
+    replaceAll(data, lock) {
+        return this.enqueue(() => Promise.all(data.users.map(u => this.sealAll(u))).then(sealedUsers =>
+            this.run(['meta', 'users', 'cycles', 'logs'], 'readwrite', (s) => {
+                ['users', 'cycles', 'logs'].forEach(name => s[name].clear());
+                sealedUsers.forEach(sealed => {
+                    s.users.put(sealed.profile);
+                    sealed.cycles.forEach(record => s.cycles.add(record));
+                    sealed.logs.forEach(record => s.logs.put(record));
+                });
+                const current = data.users[data.currentUserIndex];
+                s.meta.put(current ? current.id : null, 'currentUserId');
+                if (lock === null) s.meta.delete('lock');
+                else if (lock) s.meta.put(lock, 'lock');
+            })
+        ));
     }
 };
 
-// --- VIEW CONTROLLER ---
-const UI = {
-    currentDate: new Date(), // For calendar navigation
-    currentPartnerMsg: "", // Store for sharing
+// --- DATA: BACKUP FORMAT ---
+// Backups wrap the app data in an envelope with a format version and a
+// SHA-256 checksum. Files from before versioning (a bare { users: [] } dump)
+// are read as version 1 and validated the same way. Since version 3, a
+// backup made while a passcode is set is encrypted with that passcode.
+const Backup = {
+    FORMAT: 'cyclesync-backup',
+    VERSION: 3,
+    FLOWS: ['low', 'medium', 'high'],
 
-    init() {
-        // --- GLOBAL EVENT LISTENERS ---
-        
-        // Onboarding
-        document.getElementById('btn-create-profile').addEventListener('click', () => {
-            document.getElementById('new-profile-modal').classList.remove('hidden');
-        });
-        document.getElementById('btn-cancel-create').addEventListener('click', () => {
-            document.getElementById('new-profile-modal').classList.add('hidden');
-            this.clearCreateForm();
+    checksum(text) {
+        return crypto.subtle.digest('SHA-256', new TextEncoder().encode(text)).then(buffer =>
+            Array.from(new Uint8Array(buffer)).map(b => b.toString(16).padStart(2, '0')).join('')
+        );
+    },
+
+    // Resolves to the JSON text of a backup file. With a lock config (and the
+    // app unlocked) the contents are sealed with the passcode's key.
+    build(data, lock = null) {
+        const payload = { currentUserIndex: data.currentUserIndex, users: data.users };
+        const header = { format: this.FORMAT, version: this.VERSION, exportedAt: new Date().toISOString() };
+
+        return this.checksum(JSON.stringify(payload)).then(sum => {
+            if (!lock || !Vault.keys) return JSON.stringify({ ...header, checksum: sum, data: payload });
+            return Vault.encrypt(Vault.keys, { checksum: sum, data: payload }).then(sealed => JSON.stringify({
+                ...header,
+                encryption: { cipher: 'AES-GCM', kdf: 'PBKDF2-SHA256', salt: lock.salt, iterations: lock.iterations },
+                sealed: sealed
+            }));
         });
-        document.getElementById('btn-save-profile').addEventListener('click', () => {
-            const name = document.getElementById('input-name').value;
-            const date = document.getElementById('input-last-date').value;
-            if(name) {
-                AppState.addUser(name, date);
-                document.getElementById('new-profile-modal').classList.add('hidden');
-                this.clearCreateForm();
-                
-                // Instantly update all profile lists
-                this.renderProfileListOnboarding();
-                this.renderProfileManager();
+    },
 
-                // Close manager if it was open so user sees their new dashboard
-                document.getElementById('profile-manager-modal').classList.add('hidden');
+    /**
+     * Reads a backup file. Resolves to { data, version, encrypted, errors[] };
+     * data is only set when the file is intact and every record passed
+     * validation. Encrypted files without a passphrase resolve with
+     * `encrypted: true` and no errors so the caller can ask for it.
+     */
+    parse(text, passphrase = null) {
+        let file;
+        try {
+            file = JSON.parse(text);
+        } catch (e) {
+            return Promise.resolve({ data: null, errors: ['The file is not valid JSON.'] });
+        }
+        if (!file || typeof file !== 'object') {
+            return Promise.resolve({ data: null, errors: ['The file is not a CycleSync backup.'] });
+        }
 
-                // Redirect to dashboard and refresh UI
-                window.location.hash = '#dashboard';
-                Router.handleRoute(); 
+        // Unversioned dump from older releases
+        if (file.format === undefined && Array.isArray(file.users)) {
+            const errors = this.validate(file);
+            return Promise.resolve({ data: errors.length ? null : this.assignIds(file), version: 1, errors: errors });
+        }
+
+        if (file.format !== this.FORMAT || !(file.data || file.sealed)) {
+            return Promise.resolve({ data: null, errors: ['The file is not a CycleSync backup.'] });
+        }
+        if (!Number.isInteger(file.version) || file.version > this.VERSION) {
+            return Promise.resolve({ data: null, errors: ['This backup was made by a newer version of CycleSync. Please update the app first.'] });
+        }
+
+        if (file.sealed) {
+            if (!passphrase || !file.encryption) return Promise.resolve({ data: null, version: file.version, encrypted: true, errors: [] });
+            return Vault.deriveKeys(passphrase, file.encryption.salt, file.encryption.iterations)
+                .then(keys => Vault.decrypt(keys, file.sealed))
+                .then(
+                    inner => this.verify(inner.data, inner.checksum, file.version),
+                    () => ({ data: null, version: file.version, encrypted: true, errors: ['Wrong passcode for this backup.'] })
+                );
+        }
+        return this.verify(file.data, file.checksum, file.version);
+    },
+
+    verify(data, checksum, version) {
+        return this.checksum(JSON.stringify(data)).then(sum => {
+            if (sum !== checksum) {
+                return { data: null, version: version, errors: ['The backup is damaged or was edited (checksum mismatch).'] };
             }
+            const errors = this.validate(data);
+            return { data: errors.length ? null : this.assignIds(data), version: version, errors: errors };
         });
+    },
 
-        // Manager
-        document.getElementById('btn-manage-profiles').addEventListener('click', () => {
-            this.renderProfileManager();
-            document.getElementById('profile-manager-modal').classList.remove('hidden');
-        });
-        document.getElementById('btn-close-manager').addEventListener('click', () => {
-            document.getElementById('profile-manager-modal').classList.add('hidden');
-        });
-        document.getElementById('btn-manager-add').addEventListener('click', () => {
-            document.getElementById('new-profile-modal').classList.remove('hidden');
+    // Profiles from older dumps have no id; the import preview and
+    // AppState.importData pick profiles by id, so each gets one up front
+    assignIds(data) {
+        data.users.forEach(u => {
+            if (!u.id) u.id = AppState.newUserId();
         });
+        return data;
+    },
 
-        // Dashboard Actions
-        document.getElementById('btn-log-period').addEventListener('click', () => {
-            if (AppState.isPeriodActive()) {
-                this.showConfirm('End Period?', 'Are you sure your period has ended?', () => {
-                    const today = new Date().toISOString().split('T')[0];
-                    AppState.logPeriodEnd(today);
-                    this.renderDashboard();
-                });
+    isDateString(value) {
+        return LocalDate.isValid(value); // Also rules out days like 31/02
+    },
+
+    // Checks every profile, cycle and log entry; returns readable error strings
+    validate(data) {
+        const errors = [];
+        if (!Array.isArray(data.users)) return ['The backup has no profiles.'];
+
+        data.users.forEach((u, i) => {
+            const who = `Profile ${i + 1}${u && typeof u.name === 'string' && u.name ? ` (${u.name})` : ''}`;
+            if (!u || typeof u !== 'object') {
+                errors.push(`${who} is not a valid profile.`);
+                return;
+            }
+            if (typeof u.name !== 'string' || !u.name.trim()) errors.push(`${who} has no name.`);
+            if (u.id !== undefined && typeof u.id !== 'string') errors.push(`${who} has an invalid id.`);
+
+            if (!Array.isArray(u.cycles)) {
+                errors.push(`${who}: cycles are missing.`);
             } else {
-                this.showConfirm('Log Period Start?', 'Is today the first day of your period?', () => {
-                    const today = new Date().toISOString().split('T')[0];
-                    AppState.logPeriodStart(today);
-                    this.renderDashboard();
+                u.cycles.forEach((c, j) => {
+                    const where = `${who}, cycle ${j + 1}`;
+                    if (!c || !this.isDateString(c.startDate)) errors.push(`${where}: invalid start date.`);
+                    else if (c.endDate !== null && c.endDate !== undefined && !this.isDateString(c.endDate)) errors.push(`${where}: invalid end date.`);
+                    else if (c.pregnancy !== undefined && !(c.pregnancy && this.isDateString(c.pregnancy.dueDate) &&
+                        (c.pregnancy.endDate === null || this.isDateString(c.pregnancy.endDate)))) errors.push(`${where}: invalid pregnancy.`);
+                    else if (c.endDate && c.endDate < c.startDate) errors.push(`${where}: ends before it starts.`);
                 });
             }
-        });
 
-        // Partner Share
-        document.getElementById('btn-partner-share').addEventListener('click', () => {
-            if (navigator.share) {
-                navigator.share({
-                    title: 'Cycle Update',
-                    text: this.currentPartnerMsg
-                }).catch(console.error);
+            if (u.logs !== undefined && (typeof u.logs !== 'object' || u.logs === null || Array.isArray(u.logs))) {
+                errors.push(`${who}: daily logs are malformed.`);
             } else {
-                // Fallback: Copy to clipboard
-                navigator.clipboard.writeText(this.currentPartnerMsg).then(() => {
-                    alert('Message copied to clipboard! Ready to paste to your partner.');
+                Object.entries(u.logs || {}).forEach(([date, log]) => {
+                    const where = `${who}, log ${date}`;
+                    if (!this.isDateString(date)) errors.push(`${where}: invalid date.`);
+                    else if (!log || typeof log !== 'object') errors.push(`${where}: entry is empty.`);
+                    else {
+                        if (log.mood != null && typeof log.mood !== 'string') errors.push(`${where}: invalid mood.`);
+                        if (log.flow != null && !this.FLOWS.includes(log.flow)) errors.push(`${where}: invalid flow.`);
+                        if (log.symptoms !== undefined && !(Array.isArray(log.symptoms) && log.symptoms.every(s => typeof s === 'string'))) {
+                            errors.push(`${where}: invalid symptoms.`);
+                        }
+                        if (log.tags !== undefined && !(Array.isArray(log.tags) && log.tags.every(t => typeof t === 'string'))) {
+                            errors.push(`${where}: invalid tags.`);
+                        }
+                        LogFields.invalid(log).forEach(field => errors.push(`${where}: invalid ${field}.`));
+                    }
                 });
             }
-        });
 
-        // Breathe Feature
-        document.getElementById('btn-start-breathe').addEventListener('click', () => {
-            this.BreatheController.start();
-        });
-        document.getElementById('btn-close-breathe').addEventListener('click', () => {
-            this.BreatheController.stop();
+            // Profile settings, read on every render once imported
+            if (u.vocabulary != null && !Vocabulary.isValid(u.vocabulary)) errors.push(`${who}: invalid symptom, mood or tag lists.`);
+            if (u.reminders != null && !Reminders.isValid(u.reminders)) errors.push(`${who}: invalid reminder settings.`);
+            if (u.contraception != null && !this.isContraception(u.contraception)) errors.push(`${who}: invalid contraception settings.`);
+            if (u.pin != null && !this.isPin(u.pin)) errors.push(`${who}: invalid PIN.`);
         });
+        return errors;
+    },
 
-        // Retroactive
-        document.getElementById('btn-retroactive').addEventListener('click', () => {
-             document.getElementById('retroactive-modal').classList.remove('hidden');
-        });
-        document.getElementById('btn-retro-cancel').addEventListener('click', () => {
-            document.getElementById('retroactive-modal').classList.add('hidden');
-        });
-        document.getElementById('btn-retro-save').addEventListener('click', () => {
-            const date = document.getElementById('retro-date-picker').value;
-            if(date) {
-                AppState.logPeriodStart(date);
-                document.getElementById('retroactive-modal').classList.add('hidden');
-                this.renderDashboard();
-            }
-        });
+    isContraception(config) {
+        if (typeof config !== 'object' || Array.isArray(config)) return false;
+        if (Contraception.validate(config, LocalDate.today())) return false;
+        // Packs left are counted from this day (see AppState.setContraception)
+        return config.method !== 'pill' || config.packsLeft == null || this.isDateString(config.packsCountedFrom);
+    },
 
-        // Modal Confirm
-        document.getElementById('btn-confirm-no').addEventListener('click', () => this.hideConfirm());
+    isPin(pin) {
+        return typeof pin === 'object' && typeof pin.salt === 'string' && typeof pin.hash === 'string' &&
+            Number.isInteger(pin.iterations) && pin.iterations > 0;
+    },
 
-        // Calendar Nav
-        document.getElementById('btn-prev-month').addEventListener('click', () => {
-            this.currentDate.setMonth(this.currentDate.getMonth() - 1);
-            this.renderCalendar();
+    // Per-profile overview for the import preview
+    summarize(data) {
+        return data.users.map(u => {
+            const dates = u.cycles.map(c => c.startDate).concat(Object.keys(u.logs || {})).sort();
+            return {
+                id: u.id,
+                name: u.name,
+                cycleCount: u.cycles.length,
+                logCount: Object.keys(u.logs || {}).length,
+                firstDate: dates[0] || null,
+                lastDate: dates[dates.length - 1] || null
+            };
         });
-        document.getElementById('btn-next-month').addEventListener('click', () => {
-            this.currentDate.setMonth(this.currentDate.getMonth() + 1);
-            this.renderCalendar();
+    }
+};
+
+// --- DATA: VOCABULARY ---
+// The moods, symptoms, free-form tags and medications a profile logs with. Profiles start
+// from the defaults; once edited, their own ordered lists are stored on
+// user.vocabulary. Logs hold each entry's key (its lowercased name), so a
+// rename rewrites the logs that use it.
+const Vocabulary = {
+    DEFAULTS: {
+        moods: [
+            { key: 'happy', label: 'Happy', emoji: '😊' },
+            { key: 'calm', label: 'Calm', emoji: '😌' },
+            { key: 'sad', label: 'Sad', emoji: '😢', low: true },
+            { key: 'tired', label: 'Tired', emoji: '😴', low: true },
+            { key: 'angry', label: 'Angry', emoji: '😡', low: true }
+        ],
+        symptoms: [
+            { key: 'cramps', label: 'Cramps' },
+            { key: 'headache', label: 'Headache' },
+            { key: 'bloating', label: 'Bloating' },
+            { key: 'acne', label: 'Acne' },
+            { key: 'backache', label: 'Backache' },
+            { key: 'nausea', label: 'Nausea' }
+        ],
+        tags: [],
+        medications: []
+    },
+    NOUNS: { moods: 'mood', symptoms: 'symptom', tags: 'tag', medications: 'medication' },
+    DEFAULT_EMOJI: '😐',
+
+    // The profile's list, hidden entries included. Keys its logs use that
+    // the list lacks (e.g. from an import) are appended so nothing is lost.
+    get(user, kind) {
+        const saved = user && user.vocabulary && user.vocabulary[kind];
+        const list = (saved || this.DEFAULTS[kind]).map(item => ({ ...item }));
+        if (!user) return list;
+        const known = new Set(list.map(item => item.key));
+        Object.values(user.logs || {}).forEach(log => this.keysIn(log, kind).forEach(key => {
+            if (known.has(key)) return;
+            known.add(key);
+            list.push({ key: key, label: this.titleCase(key) });
+        }));
+        return list;
+    },
+
+    visible(user, kind) {
+        return this.get(user, kind).filter(item => !item.hidden);
+    },
+
+    // Whether an imported user.vocabulary holds lists get() can read
+    isValid(vocabulary) {
+        if (!vocabulary || typeof vocabulary !== 'object' || Array.isArray(vocabulary)) return false;
+        return Object.keys(this.DEFAULTS).every(kind => {
+            const list = vocabulary[kind];
+            return list === undefined || (Array.isArray(list) && list.every(item =>
+                item && typeof item === 'object' && typeof item.key === 'string' && item.key !== '' &&
+                typeof item.label === 'string' && (item.emoji === undefined || typeof item.emoji === 'string')));
         });
+    },
 
-        // --- SUB CONTROLLERS ---
-        this.SettingsController.init();
-        this.LogController.init();
+    // Every kind but moods is stored on the log under its own name
+    keysIn(log, kind) {
+        if (kind === 'moods') return log.mood ? [log.mood] : [];
+        return log[kind] || [];
+    },
 
-        // Check Notifications
-        this.checkNotifications();
+    find(user, kind, key) {
+        return this.get(user, kind).find(item => item.key === key) || null;
+    },
 
-        // Initial Render
-        if (!AppState.getCurrentUser()) {
-             this.renderProfileListOnboarding();
-             Router.showScreen('view-onboarding');
-        } else {
-            Router.init();
-        }
+    label(user, kind, key) {
+        const item = this.find(user, kind, key);
+        return item ? item.label : this.titleCase(key);
     },
 
-    clearCreateForm() {
-        document.getElementById('input-name').value = '';
-        document.getElementById('input-last-date').value = '';
+    emoji(user, key) {
+        const item = this.find(user, 'moods', key);
+        return (item && item.emoji) || this.DEFAULT_EMOJI;
     },
 
-    showConfirm(title, msg, onYes) {
-        document.getElementById('confirm-title').innerText = title;
-        document.getElementById('confirm-msg').innerText = msg;
-        const modal = document.getElementById('confirm-modal');
-        modal.classList.remove('hidden');
-        
-        const yesBtn = document.getElementById('btn-confirm-yes');
-        const newYesBtn = yesBtn.cloneNode(true);
-        yesBtn.parentNode.replaceChild(newYesBtn, yesBtn);
-        
-        newYesBtn.addEventListener('click', () => {
-            onYes();
-            this.hideConfirm();
-        });
+    lowMoods(user) {
+        return this.get(user, 'moods').filter(m => m.low).map(m => m.key);
     },
 
-    hideConfirm() {
-        document.getElementById('confirm-modal').classList.add('hidden');
+    toKey(label) {
+        return label.trim().toLowerCase().replace(/\s+/g, ' ');
     },
 
-    // --- RENDERERS ---
+    titleCase(key) {
+        return key.charAt(0).toUpperCase() + key.slice(1);
+    },
 
-    renderProfileListOnboarding() {
-        const container = document.getElementById('profile-list');
-        container.innerHTML = '';
-        AppState.data.users.forEach((user, index) => {
-            const el = document.createElement('div');
-            el.className = 'profile-item';
-            el.innerHTML = `
-                <div class="profile-avatar">${user.name.charAt(0)}</div>
-                <span>${user.name}</span>
-            `;
-            el.onclick = () => {
-                AppState.switchUser(index);
-                window.location.hash = '#dashboard';
-                Router.init(); // Re-init router logic
-            };
-            container.appendChild(el);
-        });
+    // --- Editing: each returns an error message or null, and saves the profile ---
+    save(user, kind, list) {
+        if (!user.vocabulary) user.vocabulary = {};
+        user.vocabulary[kind] = list;
+        Storage.putProfile(user).catch(console.error);
     },
 
-    renderProfileManager() {
-        const container = document.getElementById('manager-profile-list');
-        container.innerHTML = '';
-        const currentIndex = AppState.data.currentUserIndex;
+    checkLabel(user, kind, label, ignoreKey = null) {
+        const key = this.toKey(label || '');
+        if (!key) return 'Please enter a name.';
+        if (key.length > 30) return 'Please use 30 characters or fewer.';
+        if (key !== ignoreKey && this.find(user, kind, key)) return `There is already a ${this.NOUNS[kind]} called "${label.trim()}".`;
+        return null;
+    },
 
-        AppState.data.users.forEach((user, index) => {
-            const el = document.createElement('div');
-            el.className = 'profile-item';
-            if (index === currentIndex) el.classList.add('active-user');
-            
-            const avatar = `<div class="profile-avatar">${user.name.charAt(0)}</div>`;
-            const name = `<span style="flex:1; text-align:left">${user.name}</span>`;
-            const activeMark = index === currentIndex ? '<span class="material-icons-round" style="font-size:16px; margin-right:8px;">check_circle</span>' : '';
-            const deleteBtn = `<button class="btn-delete-profile" title="Delete Profile"><span class="material-icons-round">delete</span></button>`;
-            
-            el.innerHTML = avatar + name + activeMark + deleteBtn;
-            
-            const btnDel = el.querySelector('.btn-delete-profile');
-            btnDel.addEventListener('click', (e) => {
-                e.stopPropagation(); 
-                this.showConfirm('Delete Profile?', `Delete ${user.name}? This cannot be undone.`, () => {
-                    AppState.deleteUser(index);
-                    if (AppState.data.users.length === 0) {
-                        document.getElementById('profile-manager-modal').classList.add('hidden');
-                        Router.showScreen('view-onboarding');
-                        this.renderProfileListOnboarding();
-                    } else {
-                        // Refresh context
-                        Router.handleRoute(); // Refresh current view or redirect
-                        this.renderProfileManager();
-                    }
-                });
-            });
+    add(user, kind, label, emoji = null) {
+        const error = this.checkLabel(user, kind, label);
+        if (error) return error;
+        const item = { key: this.toKey(label), label: label.trim() };
+        if (kind === 'moods') item.emoji = emoji || this.DEFAULT_EMOJI;
+        this.save(user, kind, this.get(user, kind).concat(item));
+        return null;
+    },
 
-            el.addEventListener('click', () => {
-                if (index !== currentIndex) {
-                    AppState.switchUser(index);
-                    document.getElementById('profile-manager-modal').classList.add('hidden');
-                    // Force dashboard view and refresh
-                    window.location.hash = '#dashboard'; 
-                    // If we are already on dashboard, hashchange won't fire, so force update:
-                    Router.handleRoute();
-                    // Also explicitly update the header name right now to be sure
-                    const newUser = AppState.getCurrentUser();
-                    if(newUser) document.getElementById('header-username').innerText = newUser.name;
-                }
+    // Renames an entry and rewrites every log that uses it
+    rename(user, kind, key, label) {
+        const error = this.checkLabel(user, kind, label, key);
+        if (error) return error;
+        const newKey = this.toKey(label);
+        const list = this.get(user, kind);
+        const item = list.find(i => i.key === key);
+        item.key = newKey;
+        item.label = label.trim();
+
+        if (newKey !== key) {
+            Object.entries(user.logs || {}).forEach(([date, log]) => {
+                if (!this.keysIn(log, kind).includes(key)) return;
+                if (kind === 'moods') log.mood = newKey;
+                else log[kind] = log[kind].map(k => k === key ? newKey : k);
+                Storage.putLog(user.id, date, log).catch(console.error);
             });
+        }
+        this.save(user, kind, list);
+        return null;
+    },
 
-            container.appendChild(el);
-        });
+    // Emoji, "low mood" or hidden flag
+    update(user, kind, key, changes) {
+        const list = this.get(user, kind);
+        Object.assign(list.find(i => i.key === key), changes);
+        this.save(user, kind, list);
+        return null;
     },
 
-    renderDashboard() {
-        const currentUser = AppState.getCurrentUser();
-        if(currentUser) {
-            document.getElementById('greeting-text').innerText = `Hello, ${currentUser.name}`;
-            document.getElementById('header-username').innerText = currentUser.name;
-        }
+    move(user, kind, key, direction) {
+        const list = this.get(user, kind);
+        const from = list.findIndex(i => i.key === key);
+        const to = from + direction;
+        if (to < 0 || to >= list.length) return null;
+        [list[from], list[to]] = [list[to], list[from]];
+        this.save(user, kind, list);
+        return null;
+    }
+};
 
-        const cycle = AppState.getLatestCycle();
-        const avgLength = AppState.getAverageCycleLength();
-        
-        const circleGradient = document.getElementById('cycle-circle-gradient');
-        const btn = document.getElementById('btn-log-period');
-        const predText = document.getElementById('prediction-text');
-        const statusBadge = document.getElementById('cycle-status-badge');
+// --- DATA: DAILY LOG FIELDS ---
+// Beyond mood, flow, symptoms, tags and medications a day can hold a note,
+// sexual activity, weight (always stored in kg) and hours slept, plus basal
+// body temperature (stored in °C) and cervical mucus in fertility awareness
+// mode, and whether the pill was taken in contraception mode. Each is
+// optional: empty fields are left off the saved log.
+const LogFields = {
+    SEX: { protected: 'Protected sex', unprotected: 'Unprotected sex' },
+    PILL: { taken: 'Pill taken', missed: 'Pill missed' },
+    // Least to most fertile
+    MUCUS: {
+        dry: { label: 'Dry', rank: 0 },
+        sticky: { label: 'Sticky', rank: 1 },
+        creamy: { label: 'Creamy', rank: 2 },
+        watery: { label: 'Watery', rank: 3 },
+        eggwhite: { label: 'Egg white', rank: 4 }
+    },
+    NOTE_MAX: 500,
+    WEIGHT_KG: { min: 20, max: 300 },
+    SLEEP_HOURS: { min: 0, max: 24 },
+    BBT_C: { min: 34, max: 40 },
+    SHORT_SLEEP_HOURS: 6,
+    LB_PER_KG: 2.20462,
 
-        if (!cycle) {
-            document.getElementById('cycle-day-count').innerText = "Day ?";
-            document.getElementById('cycle-phase-text').innerText = "No data yet";
-            btn.innerText = "Log Period Start";
-            btn.classList.remove('btn-secondary');
-            btn.classList.add('btn-primary');
-            circleGradient.style.background = `conic-gradient(#eee 0% 100%)`;
-            return;
-        }
+    // Own keys only, so "constructor" or "toString" never pass as a value
+    isOption(options, key) {
+        return Object.prototype.hasOwnProperty.call(options, key);
+    },
 
-        const startDate = new Date(cycle.startDate);
-        const today = new Date();
-        const diffTime = Math.abs(today - startDate);
-        const dayInCycle = Math.ceil(diffTime / (1000 * 60 * 60 * 24)); 
-        
-        document.getElementById('cycle-day-count').innerText = `Day ${dayInCycle}`;
-        
-        let phase = "";
-        let colorA = "#FF8DA1";
-        
-        if (AppState.isPeriodActive() || (dayInCycle <= DEFAULT_PERIOD_LENGTH && !cycle.endDate)) {
-            phase = "Menstrual Phase";
-            colorA = "#FF8DA1";
-        } else if (dayInCycle < 12) {
-            phase = "Follicular Phase";
-            colorA = "#C8B6FF";
-        } else if (dayInCycle >= 12 && dayInCycle <= 16) {
-            phase = "Ovulation Phase";
-            colorA = "#B8E0D2";
-        } else {
-            phase = "Luteal Phase";
-            colorA = "#FFD166";
-        }
+    // Names of the fields that don't hold a valid value
+    invalid(log) {
+        const bad = [];
+        const inRange = (value, range) => typeof value === 'number' && value >= range.min && value <= range.max;
+        if (log.note !== undefined && !(typeof log.note === 'string' && log.note.length <= this.NOTE_MAX)) bad.push('note');
+        if (log.sex !== undefined && !this.isOption(this.SEX, log.sex)) bad.push('sex');
+        if (log.medications !== undefined && !(Array.isArray(log.medications) && log.medications.every(m => typeof m === 'string'))) bad.push('medications');
+        if (log.weight !== undefined && !inRange(log.weight, this.WEIGHT_KG)) bad.push('weight');
+        if (log.sleep !== undefined && !inRange(log.sleep, this.SLEEP_HOURS)) bad.push('sleep');
+        if (log.bbt !== undefined && !inRange(log.bbt, this.BBT_C)) bad.push('bbt');
+        if (log.mucus !== undefined && !this.isOption(this.MUCUS, log.mucus)) bad.push('mucus');
+        if (log.pill !== undefined && !this.isOption(this.PILL, log.pill)) bad.push('pill');
+        return bad;
+    },
 
-        if (dayInCycle > avgLength + 5) {
-            phase = "Late Phase";
-            colorA = "#FF9F1C";
-        }
+    // Drops the optional fields that were left empty
+    clean(log) {
+        const result = { ...log };
+        if (!result.note || !result.note.trim()) delete result.note;
+        else result.note = result.note.trim().slice(0, this.NOTE_MAX);
+        if (!result.sex) delete result.sex;
+        if (!result.mucus) delete result.mucus;
+        if (!result.pill) delete result.pill;
+        if (!result.medications || result.medications.length === 0) delete result.medications;
+        ['weight', 'sleep', 'bbt'].forEach(field => {
+            if (result[field] === null || result[field] === undefined) delete result[field];
+        });
+        return result;
+    },
 
-        document.getElementById('cycle-phase-text').innerText = phase;
-        
-        // Emotional Logic (Affirmation & Partner)
-        const affirmations = AffirmationLibrary[phase] || AffirmationLibrary['Menstrual Phase'];
-        // Pick random
-        const randomAffirmation = affirmations[Math.floor(Math.random() * affirmations.length)];
-        document.getElementById('affirmation-text').innerText = randomAffirmation;
-        
-        this.currentPartnerMsg = PartnerMessages[phase] || PartnerMessages['Menstrual Phase'];
+    weightUnit(user) {
+        return user && user.weightUnit === 'lb' ? 'lb' : 'kg';
+    },
 
-        if (AppState.isPeriodActive()) {
-            btn.innerText = "Log Period End";
-            btn.classList.remove('btn-primary');
-            btn.classList.add('btn-secondary');
-        } else {
-            btn.innerText = "Log Period Start";
-            btn.classList.add('btn-primary');
-            btn.classList.remove('btn-secondary');
-        }
+    // kg -> the profile's unit, rounded for display
+    displayWeight(kg, unit) {
+        return Math.round((unit === 'lb' ? kg * this.LB_PER_KG : kg) * 10) / 10;
+    },
 
-        const percent = Math.min((dayInCycle / avgLength) * 100, 100);
-        circleGradient.style.background = `conic-gradient(${colorA} 0% ${percent}%, #f0f0f0 ${percent}% 100%)`;
+    toKg(value, unit) {
+        return Math.round((unit === 'lb' ? value / this.LB_PER_KG : value) * 100) / 100;
+    },
 
-        const nextDate = new Date(startDate);
-        nextDate.setDate(startDate.getDate() + avgLength);
-        const daysUntil = Math.ceil((nextDate - today) / (1000 * 60 * 60 * 24));
-        
-        if (daysUntil > 0) {
-            predText.innerText = `Next period predicted in ${daysUntil} days.`;
-            statusBadge.classList.add('hidden');
-        } else if (daysUntil === 0) {
-            predText.innerText = `Period expected today.`;
-            statusBadge.className = 'status-badge badge-green';
-            statusBadge.innerText = 'Expected Today';
-            statusBadge.classList.remove('hidden');
-        } else {
-            const lateBy = Math.abs(daysUntil);
-            predText.innerText = `Period was expected ${lateBy} days ago.`;
-            statusBadge.className = 'status-badge badge-orange';
-            statusBadge.innerText = `${lateBy} days late`;
-            statusBadge.classList.remove('hidden');
-        }
+    temperatureUnit(user) {
+        return user && user.temperatureUnit === 'F' ? 'F' : 'C';
     },
 
-    renderCalendar() {
-        const grid = document.getElementById('calendar-grid');
-        grid.innerHTML = '';
-        const monthYear = document.getElementById('calendar-month-year');
-        
-        const year = this.currentDate.getFullYear();
-        const month = this.currentDate.getMonth();
-        const monthNames = ["January", "February", "March", "April", "May", "June", "July", "August", "September", "October", "November", "December"];
-        monthYear.innerText = `${monthNames[month]} ${year}`;
+    displayTemperature(celsius, unit) {
+        return unit === 'F' ? Math.round((celsius * 9 / 5 + 32) * 100) / 100 : celsius;
+    },
 
-        const firstDay = new Date(year, month, 1).getDay();
-        const daysInMonth = new Date(year, month + 1, 0).getDate();
+    toCelsius(value, unit) {
+        return Math.round((unit === 'F' ? (value - 32) * 5 / 9 : value) * 100) / 100;
+    },
 
-        for (let i = 0; i < firstDay; i++) {
-            const d = document.createElement('div');
-            d.className = 'calendar-day empty';
-            grid.appendChild(d);
-        }
+    // Short readable parts for the log history, e.g. ['Slept 7.5 h', '62.4 kg']
+    describe(log, user) {
+        const parts = [];
+        if (log.bbt !== undefined) parts.push(`BBT ${this.displayTemperature(log.bbt, this.temperatureUnit(user))} °${this.temperatureUnit(user)}`);
+        if (log.mucus) parts.push(`${this.MUCUS[log.mucus].label} mucus`);
+        if (log.sleep !== undefined) parts.push(`Slept ${log.sleep} h`);
+        if (log.weight !== undefined) parts.push(`${this.displayWeight(log.weight, this.weightUnit(user))} ${this.weightUnit(user)}`);
+        if (log.sex) parts.push(this.SEX[log.sex]);
+        if (log.pill) parts.push(this.PILL[log.pill]);
+        return parts;
+    }
+};
 
-        const cycles = AppState.getCycles();
-        const avgLength = AppState.getAverageCycleLength();
+// --- STATE MANAGEMENT ---
+const AppState = {
+    data: {
+        currentUserIndex: null,
+        users: []
+    },
+    
+    lockConfig: null, // { salt, iterations, verifier } when a passcode is set
 
-        for (let i = 1; i <= daysInMonth; i++) {
-            const cellDate = new Date(year, month, i);
-            const dateStr = cellDate.toISOString().split('T')[0];
-            const d = document.createElement('div');
-            d.className = 'calendar-day';
-            d.innerText = i;
-            
-            const today = new Date();
-            if (cellDate.toDateString() === today.toDateString()) d.classList.add('today');
-
-            // Period Logic
-            cycles.forEach(c => {
-                const start = new Date(c.startDate);
-                let end = c.endDate ? new Date(c.endDate) : new Date(); 
-                start.setHours(0,0,0,0);
-                end.setHours(0,0,0,0);
-                cellDate.setHours(0,0,0,0);
-                if (cellDate >= start && cellDate <= end) d.classList.add('is-period');
-            });
-
-            // Prediction Logic
-            if (cellDate > today) {
-                const latest = AppState.getLatestCycle();
-                if (latest) {
-                    const lastStart = new Date(latest.startDate);
-                    const predictedStart = new Date(lastStart);
-                    predictedStart.setDate(lastStart.getDate() + avgLength);
-                    predictedStart.setHours(0,0,0,0);
-                    if (cellDate.getTime() === predictedStart.getTime()) d.classList.add('is-predicted');
-                    
-                    const ovul = new Date(predictedStart);
-                    ovul.setDate(predictedStart.getDate() - 14);
-                    const fStart = new Date(ovul); fStart.setDate(ovul.getDate() - 2);
-                    const fEnd = new Date(ovul); fEnd.setDate(ovul.getDate() + 2);
-                    if (cellDate >= fStart && cellDate <= fEnd) d.classList.add('is-fertile');
+    // Opens storage and reads the lock config; data waits for load() so a
+    // locked app holds nothing in memory until the passcode is entered.
+    init() {
+        return Storage.open()
+            .then(() => Storage.getMeta('lock'))
+            .then(lock => { this.lockConfig = lock || null; });
+    },
+
+    // Loads everything from IndexedDB, importing the v1 localStorage blob on first run.
+    // A PIN-protected profile is never reopened automatically: the app starts
+    // at the profile list so the next person on the device has to pick.
+    load() {
+        return Storage.load().then(data => {
+            const legacy = localStorage.getItem(STORAGE_KEY);
+            if (data.users.length === 0 && legacy) {
+                try {
+                    return this.importLegacy(legacy);
+                } catch (err) {
+                    // A damaged blob stays where it is; the app starts empty instead
+                    console.error('CycleSync: legacy data unreadable', err);
+                    alert('Data saved by an older version of CycleSync could not be read, so the app is starting empty. The old data has been left on this device.');
                 }
             }
+            this.data = data;
+            if (this.hasProfilePin(this.getCurrentUser())) this.data.currentUserIndex = null;
+        }).then(() => this.migrateLocalDates());
+    },
+
+    // Until dates were local (see LocalDate), "today" was the UTC date, which
+    // west of UTC is already tomorrow in the evening. Anything dated after
+    // today can only have come from that, so it moves back to today, once.
+    // Earlier days can't be told apart from correct ones and are kept as they are.
+    migrateLocalDates() {
+        return Storage.getMeta('localDates').then(done => {
+            if (done) return;
+            const today = LocalDate.today();
+            const writes = [];
+            this.data.users.forEach(user => {
+                const moved = this.moveFutureDates(user, today);
+                if (moved.cycles) writes.push(Storage.putUser(user));
+                moved.logs.forEach(date => writes.push(Storage.putLog(user.id, date, null)));
+                if (moved.logs.length) writes.push(Storage.putLog(user.id, today, user.logs[today]));
+            });
+            return Promise.all(writes).then(() => Storage.setMeta('localDates', true));
+        });
+    },
+
+    // Returns { cycles: changed?, logs: [dates moved away] }. A log already
+    // kept for today wins field by field, the way merging a backup does.
+    moveFutureDates(user, today) {
+        const moved = { cycles: false, logs: [] };
+        Object.keys(user.logs).filter(date => date > today).sort().forEach(date => {
+            user.logs[today] = { ...user.logs[date], ...user.logs[today] };
+            delete user.logs[date];
+            moved.logs.push(date);
+        });
+        user.cycles.forEach(c => {
+            if (c.startDate > today) {
+                c.startDate = today;
+                moved.cycles = true;
+            }
+            if (c.endDate && c.endDate > today) {
+                c.endDate = today;
+                moved.cycles = true;
+            }
+            if (c.pregnancy && c.pregnancy.endDate && c.pregnancy.endDate > today) {
+                c.pregnancy.endDate = today;
+                moved.cycles = true;
+            }
+        });
+        if (moved.cycles) {
+            // Two periods may now start on the same day; keep the first
+            const starts = new Set();
+            user.cycles = user.cycles.filter(c => {
+                if (starts.has(c.startDate)) return false;
+                starts.add(c.startDate);
+                return true;
+            });
+        }
+        return moved;
+    },
+
+    isLocked() {
+        return !!this.lockConfig && !Vault.keys;
+    },
+
+    // Resolves true when the passcode opened the vault
+    unlock(passphrase) {
+        return Vault.unlock(this.lockConfig, passphrase);
+    },
+
+    // Sets or changes the passcode and re-encrypts every record with it
+    setPassphrase(passphrase) {
+        return Vault.createLock(passphrase).then(lock => {
+            this.lockConfig = lock;
+            Reminders.refresh(); // Reminder texts turn generic
+            return Storage.replaceAll(this.data, lock);
+        });
+    },
+
+    removePassphrase() {
+        Vault.keys = null;
+        this.lockConfig = null;
+        Reminders.refresh();
+        return Storage.replaceAll(this.data, null);
+    },
+
+    importLegacy(json) {
+        const parsed = JSON.parse(json);
+        parsed.users.forEach(u => this.normalizeUser(u));
+        this.data = parsed;
+        // Keep the blob until IndexedDB has committed the copy
+        return Storage.replaceAll(this.data).then(() => localStorage.removeItem(STORAGE_KEY));
+    },
+
+    // Fills in fields that older data or hand-made backups may lack
+    newUserId() {
+        return 'u' + Date.now() + Math.random().toString(36).slice(2, 6);
+    },
+
+    normalizeUser(u) {
+        if (!u.id) u.id = this.newUserId();
+        if (!u.cycles) u.cycles = [];
+        if (!u.logs) u.logs = {};
+        this.repairCycleEnds(u);
+    },
+
+    // --- Persistence: each change writes only the records it touched ---
+    saveCurrentUserId() {
+        const user = this.getCurrentUser();
+        Storage.setMeta('currentUserId', user ? user.id : null).catch(console.error);
+    },
+
+    saveCycles(user = this.getCurrentUser()) {
+        Storage.putCycles(user).catch(console.error);
+        Reminders.refresh();
+    },
+
+    // Writes the logs of the given days in one go (e.g. after a CSV import)
+    saveLogs(dates, user = this.getCurrentUser()) {
+        const logs = {};
+        dates.forEach(date => { logs[date] = user.logs[date]; });
+        Storage.putLogs(user.id, logs).catch(console.error);
+        Reminders.refresh();
+    },
+
+    // What a backup may hold: PIN-protected profiles are left out unless they are the open one
+    exportableData() {
+        const current = this.getCurrentUser();
+        const users = this.data.users.filter(u => u === current || !this.hasProfilePin(u));
+        return { currentUserIndex: current ? users.indexOf(current) : null, users: users };
+    },
+
+    // Local profiles an import would change: all of them when replacing,
+    // otherwise the ones the chosen incoming profiles merge into
+    importTargets(data, mode = 'replace', profileIds = null) {
+        if (mode === 'replace') return [...this.data.users];
+        return data.users
+            .filter(u => !profileIds || profileIds.includes(u.id))
+            .map(u => this.findSameUser(u))
+            .filter((u, i, all) => u && all.indexOf(u) === i);
+    },
+
+    /**
+     * Imports validated backup data (see Backup.parse).
+     * mode 'replace' swaps in every profile from the file; 'merge' folds the
+     * profiles listed in `profileIds` (all when omitted) into matching local
+     * ones. `pins` holds the PIN, by profile id, of every PIN-protected
+     * profile among importTargets(). Resolves false (and changes nothing)
+     * when one doesn't match, else true once the result is stored.
+     */
+    importData(data, mode = 'replace', profileIds = null, pins = {}) {
+        const targets = this.importTargets(data, mode, profileIds);
+        return Promise.all(targets.map(u => this.checkProfilePin(u, pins[u.id]))).then(checks => {
+            if (checks.includes(false)) return false;
+
+            const incoming = JSON.parse(JSON.stringify(data.users)); // Never share refs with the parsed file
+            incoming.forEach(u => this.normalizeUser(u));
+
+            if (mode === 'replace') {
+                // A copy without a PIN never lifts the one set on this device
+                incoming.forEach(u => {
+                    const local = this.findSameUser(u);
+                    if (!u.pin && this.hasProfilePin(local)) u.pin = local.pin;
+                });
+                this.data = { currentUserIndex: incoming.length ? Math.max(0, Math.min(data.currentUserIndex || 0, incoming.length - 1)) : null, users: incoming };
+            } else {
+                const currentUser = this.getCurrentUser();
+                incoming
+                    .filter(u => !profileIds || profileIds.includes(u.id))
+                    .forEach(u => this.mergeUser(u));
+                const index = this.data.users.indexOf(currentUser);
+                this.data.currentUserIndex = index !== -1 ? index : (this.data.users.length ? 0 : null);
+            }
+            return Storage.replaceAll(this.data).then(() => true);
+        });
+    },
+
+    // Same id (or, failing that, same name) is the same person
+    findSameUser(incoming) {
+        const sameName = u => u.name.trim().toLowerCase() === incoming.name.trim().toLowerCase();
+        return this.data.users.find(u => u.id === incoming.id) || this.data.users.find(sameName) || null;
+    },
+
+    // Cycles are de-duplicated by start date and logs by day; this device
+    // wins conflicts, and the local profile keeps its own name and PIN.
+    mergeUser(incoming) {
+        const existing = this.findSameUser(incoming);
+        if (!existing) {
+            this.data.users.push(incoming);
+            return;
+        }
+
+        incoming.cycles.forEach(c => {
+            const same = existing.cycles.find(e => e.startDate === c.startDate);
+            if (same) {
+                if (!same.endDate && c.endDate) same.endDate = c.endDate;
+                return;
+            }
+            if (!existing.cycles.some(e => this.cyclesOverlap(e, c))) existing.cycles.push({ ...c });
+        });
+
+        Object.entries(incoming.logs).forEach(([date, log]) => {
+            if (!existing.logs[date]) existing.logs[date] = log;
+        });
+        this.repairCycleEnds(existing);
+    },
+
+    getCurrentUser() {
+        if (this.data.currentUserIndex === null || !this.data.users[this.data.currentUserIndex]) return null;
+        return this.data.users[this.data.currentUserIndex];
+    },
+
+    addUser(name, lastPeriodDate) {
+        const newUser = {
+            id: 'u' + Date.now(),
+            name: name,
+            themeColor: '#FF8DA1',
+            cycles: [],
+            logs: {} // Date string Key -> { mood, flow, symptoms[], tags[], and optionally note, sex, medications[], weight, sleep }
+        };
+        
+        if (lastPeriodDate) {
+            newUser.cycles.push({
+                startDate: lastPeriodDate,
+                endDate: null
+            });
+        }
+
+        this.data.users.push(newUser);
+        this.data.currentUserIndex = this.data.users.length - 1;
+        Storage.putUser(newUser).catch(console.error);
+        this.saveCurrentUserId();
+        Reminders.refresh();
+        return newUser;
+    },
+
+    // --- Profile PINs ---
+    PIN_ITERATIONS: 100000,
+
+    hasProfilePin(user) {
+        return !!(user && user.pin);
+    },
+
+    // Resolves true when `pin` opens the profile (always true without a PIN)
+    checkProfilePin(user, pin) {
+        if (!this.hasProfilePin(user)) return Promise.resolve(true);
+        if (!pin) return Promise.resolve(false);
+        return Vault.hashPin(pin, user.pin.salt, user.pin.iterations).then(hash => hash === user.pin.hash);
+    },
+
+    // PINs can only be set on or removed from the profile that is open
+    setProfilePin(pin) {
+        const user = this.getCurrentUser();
+        const salt = Vault.toBase64(crypto.getRandomValues(new Uint8Array(16)));
+        return Vault.hashPin(pin, salt, this.PIN_ITERATIONS).then(hash => {
+            user.pin = { salt: salt, iterations: this.PIN_ITERATIONS, hash: hash };
+            Reminders.refresh();
+            return Storage.putProfile(user);
+        });
+    },
+
+    // Resolves false when the PIN is wrong
+    removeProfilePin(pin) {
+        const user = this.getCurrentUser();
+        return this.checkProfilePin(user, pin).then(ok => {
+            if (!ok) return false;
+            delete user.pin;
+            Reminders.refresh();
+            return Storage.putProfile(user).then(() => true);
+        });
+    },
+
+    // Resolves false (and changes nothing) when the profile's PIN doesn't match
+    switchUser(index, pin = null) {
+        return this.checkProfilePin(this.data.users[index], pin).then(ok => {
+            if (!ok) return false;
+            this.data.currentUserIndex = index;
+            this.saveCurrentUserId();
+            return true;
+        });
+    },
+
+    // Resolves false (and changes nothing) when the profile's PIN doesn't match
+    deleteUser(index, pin = null) {
+        return this.checkProfilePin(this.data.users[index], pin).then(ok => {
+            if (!ok) return false;
+            const isCurrentUser = index === this.data.currentUserIndex;
+            const [removed] = this.data.users.splice(index, 1);
+            Storage.deleteUser(removed.id).catch(console.error);
+            Reminders.refresh();
+            if (this.data.users.length === 0) {
+                this.data.currentUserIndex = null;
+            } else {
+                if (index < this.data.currentUserIndex) {
+                    this.data.currentUserIndex--;
+                } else if (isCurrentUser) {
+                    // Fall back to a profile that doesn't need a PIN, else the profile list
+                    const open = this.data.users.findIndex(u => !this.hasProfilePin(u));
+                    this.data.currentUserIndex = open === -1 ? null : open;
+                }
+            }
+            this.saveCurrentUserId();
+            return true;
+        });
+    },
+
+    // --- LOGIC: Cycle Calculations ---
+    getCycles() {
+        const user = this.getCurrentUser();
+        return user ? user.cycles.sort((a, b) => LocalDate.compare(b.startDate, a.startDate)) : [];
+    },
+
+    getLatestCycle() {
+        const cycles = this.getCycles();
+        return cycles.length > 0 ? cycles[0] : null;
+    },
+
+    getAverageCycleLength() {
+        return CyclePredictor.estimate(this.getCycles()).length;
+    },
+
+    // Next period start with an early/late confidence range (see CyclePredictor).
+    // These three are null / empty while predictions are paused (see PhaseEngine.isPaused).
+    getPrediction() {
+        if (PhaseEngine.isPaused(this.getCurrentUser())) return null;
+        return CyclePredictor.predictNextStart(this.getCycles());
+    },
+
+    // Current cycle's phase layout for the active profile (see PhaseEngine)
+    getPhaseModel() {
+        if (PhaseEngine.isPaused(this.getCurrentUser())) return null;
+        return PhaseEngine.buildModel(this.getCycles());
+    },
+
+    // Current cycle plus the next few predicted cycles (see PhaseEngine.forecast)
+    getForecast(count) {
+        if (PhaseEngine.isPaused(this.getCurrentUser())) return [];
+        return PhaseEngine.forecast(this.getCycles(), count);
+    },
+
+    // --- Pregnancy: each returns an error message or null ---
+    // The pregnancy is kept on the latest cycle, whose start is the last period
+    startPregnancy(dueDate) {
+        const latest = this.getLatestCycle();
+        if (!latest) return 'Log the first day of your last period first; the due date is counted from it.';
+        if (Pregnancy.status(this.getCurrentUser())) return 'Pregnancy mode is already on.';
+        const error = Pregnancy.checkDueDate(latest.startDate, dueDate);
+        if (error) return error;
+        if (!latest.endDate) latest.endDate = this.estimatePeriodEnd(latest.startDate, null);
+        latest.pregnancy = { dueDate: dueDate, endDate: null };
+        this.saveCycles();
+        return null;
+    },
+
+    updateDueDate(dueDate) {
+        const latest = this.getLatestCycle();
+        if (Pregnancy.status(this.getCurrentUser()) !== 'pregnant') return 'Pregnancy mode is not on.';
+        const error = Pregnancy.checkDueDate(latest.startDate, dueDate);
+        if (error) return error;
+        latest.pregnancy.dueDate = dueDate;
+        this.saveCycles();
+        return null;
+    },
+
+    // Birth or loss: moves into the postpartum state until the next period is logged
+    endPregnancy(endDate) {
+        const latest = this.getLatestCycle();
+        if (Pregnancy.status(this.getCurrentUser()) !== 'pregnant') return 'Pregnancy mode is not on.';
+        const today = LocalDate.today();
+        if (!endDate || endDate > today) return 'Please choose a date that is not in the future.';
+        if (endDate <= latest.startDate) return 'The pregnancy cannot end before it began.';
+        latest.pregnancy.endDate = endDate;
+        this.saveCycles();
+        return null;
+    },
+
+    // For a pregnancy started by mistake
+    cancelPregnancy() {
+        const latest = this.getLatestCycle();
+        if (!latest || !latest.pregnancy) return 'Pregnancy mode is not on.';
+        delete latest.pregnancy;
+        this.saveCycles();
+        return null;
+    },
+
+    // --- Contraception: returns an error message or null; null config turns the mode off ---
+    setContraception(config) {
+        const user = this.getCurrentUser();
+        if (config) {
+            const today = LocalDate.today();
+            const error = Contraception.validate(config, today);
+            if (error) return error;
+            // Packs left are counted from the pack in use today
+            if (config.method === 'pill') config.packsCountedFrom = Contraception.dayOf(config, today).packStart;
+        }
+        user.contraception = config;
+        Storage.putProfile(user).catch(console.error);
+        Reminders.refresh();
+        return null;
+    },
+
+    isPeriodActive() {
+        const latest = this.getLatestCycle();
+        return latest && !latest.endDate;
+    },
+
+    // Returns an error message when the date clashes with logged periods, else null
+    logPeriodStart(dateStr) {
+        const user = this.getCurrentUser();
+        const latest = this.getLatestCycle();
+        const error = this.validateCycle(dateStr, null);
+        if (error) return error;
+        if (Pregnancy.status(user) === 'pregnant' && dateStr > latest.startDate) {
+            return 'Pregnancy mode is on. End the pregnancy in Settings before logging a new period.';
+        }
+        if (Pregnancy.status(user) === 'postpartum' && dateStr <= latest.pregnancy.endDate) {
+            return 'This day is before the pregnancy ended. Postpartum bleeding is not logged as a period.';
+        }
+
+        if (!latest || dateStr > latest.startDate) {
+            // Close the open period at its usual length rather than at the new start
+            if (latest && !latest.endDate) latest.endDate = this.estimatePeriodEnd(latest.startDate, dateStr);
+            user.cycles.push({ startDate: dateStr, endDate: null });
+        } else {
+            // Retroactive start between existing cycles
+            const nextStart = this.getCycles().filter(c => c.startDate > dateStr).pop().startDate;
+            user.cycles.push({ startDate: dateStr, endDate: this.estimatePeriodEnd(dateStr, nextStart) });
+        }
+        this.saveCycles();
+        return null;
+    },
+
+    // Ends the open period, or moves the end of the period that contains
+    // dateStr. Returns an error message when the date doesn't fit, else null.
+    logPeriodEnd(dateStr) {
+        const cycle = this.getCycles().find(c => c.startDate <= dateStr); // newest first
+        if (!cycle) return 'There is no period start on or before this day.';
+        if (cycle.endDate && cycle.endDate < dateStr) return 'There is no ongoing period on this day. Log a period start first.';
+        if (LocalDate.daysBetween(cycle.startDate, dateStr) + 1 > PhaseEngine.MAX_PERIOD_LENGTH) {
+            return `A period cannot last longer than ${PhaseEngine.MAX_PERIOD_LENGTH} days. Log a new period start, or fix the start date in Cycle History.`;
+        }
+        const error = this.validateCycle(cycle.startDate, dateStr, [cycle]);
+        if (error) return error;
+        cycle.endDate = dateStr;
+        this.saveCycles();
+        return null;
+    },
+
+    // --- LOGIC: Cycle History Editing ---
+    // Indexes refer to getCycles() order (newest first). Each editor method
+    // returns an error message for the UI, or null once the change is saved.
+
+    // Period end at the profile's usual length, kept strictly before `beforeDate`
+    estimatePeriodEnd(startDate, beforeDate, cycles = this.getCycles()) {
+        const end = LocalDate.addDays(startDate, PhaseEngine.estimatePeriodLength(cycles) - 1);
+        if (!beforeDate || end < beforeDate) return end;
+        const dayBefore = LocalDate.addDays(beforeDate, -1);
+        return dayBefore < startDate ? startDate : dayBefore;
+    },
+
+    // Older versions closed a period with the next start date; pull those ends
+    // back. Only the newest period may stay open, so older open ones get closed.
+    repairCycleEnds(user) {
+        const sorted = [...user.cycles].sort((a, b) => LocalDate.compare(a.startDate, b.startDate));
+        sorted.forEach((c, i) => {
+            const next = sorted[i + 1];
+            if (next && (!c.endDate || c.endDate >= next.startDate)) {
+                c.endDate = this.estimatePeriodEnd(c.startDate, next.startDate, user.cycles);
+            }
+        });
+    },
+
+    // Two periods overlap when they share at least one day (open = start day only)
+    cyclesOverlap(a, b) {
+        return a.startDate <= (b.endDate || b.startDate) && b.startDate <= (a.endDate || a.startDate);
+    },
+
+    validateCycle(startDate, endDate, ignore = []) {
+        const today = LocalDate.today();
+        if (!startDate) return 'Please choose a start date.';
+        if (startDate > today) return 'A period cannot start in the future.';
+        if (endDate && endDate < startDate) return 'The end date cannot be before the start date.';
+
+        const candidate = { startDate: startDate, endDate: endDate };
+        const clash = this.getCycles().find(c => !ignore.includes(c) && this.cyclesOverlap(candidate, c));
+        if (clash) {
+            const when = LocalDate.display(clash.startDate, { month: 'short', day: 'numeric', year: 'numeric' });
+            return `These dates overlap the period that started on ${when}.`;
+        }
+        return null;
+    },
+
+    updateCycle(index, startDate, endDate) {
+        const cycle = this.getCycles()[index];
+        if (!cycle) return 'That cycle no longer exists.';
+        const error = this.validateCycle(startDate, endDate, [cycle]);
+        if (error) return error;
+
+        // Only the most recent period may be left open
+        const isLatest = !this.getCycles().some(c => c !== cycle && c.startDate > startDate);
+        if (!endDate && !isLatest) return 'Please add an end date. Only the most recent period can be ongoing.';
+
+        cycle.startDate = startDate;
+        cycle.endDate = endDate || null;
+        this.saveCycles();
+        return null;
+    },
+
+    deleteCycle(index) {
+        const user = this.getCurrentUser();
+        const cycle = this.getCycles()[index];
+        if (!cycle) return 'That cycle no longer exists.';
+        user.cycles.splice(user.cycles.indexOf(cycle), 1);
+        this.saveCycles();
+        return null;
+    },
+
+    // Folds a start that was logged by accident into the period before it
+    mergeCycles(index) {
+        const user = this.getCurrentUser();
+        const cycles = this.getCycles();
+        const newer = cycles[index];
+        const older = cycles[index + 1];
+        if (!newer || !older) return 'There is no earlier period to merge with.';
+
+        older.endDate = newer.endDate;
+        user.cycles.splice(user.cycles.indexOf(newer), 1);
+        this.saveCycles();
+        return null;
+    },
+
+    // Adds a missed period start inside a cycle that ran too long
+    splitCycle(index, dateStr) {
+        const user = this.getCurrentUser();
+        const cycles = this.getCycles();
+        const cycle = cycles[index];
+        const next = cycles[index - 1];
+        if (!cycle) return 'That cycle no longer exists.';
+        if (!dateStr) return 'Please choose the date the missed period started.';
+        if (dateStr <= (cycle.endDate || cycle.startDate)) return 'The new start must be after this period ended.';
+        if (next && dateStr >= next.startDate) return 'The new start must be before the next logged period.';
+
+        const error = this.validateCycle(dateStr, null, [cycle]);
+        if (error) return error;
+
+        // An open period stays open only on whichever cycle is now the newest
+        const wasOpen = !cycle.endDate;
+        if (wasOpen) cycle.endDate = this.estimatePeriodEnd(cycle.startDate, dateStr);
+        user.cycles.push({
+            startDate: dateStr,
+            endDate: next ? this.estimatePeriodEnd(dateStr, next.startDate) : (wasOpen ? null : this.estimatePeriodEnd(dateStr))
+        });
+        this.saveCycles();
+        return null;
+    },
+
+    // --- LOGIC: Daily Logs ---
+    saveDailyLog(dateStr, data) {
+        const user = this.getCurrentUser();
+        if (!user.logs) user.logs = {};
+        user.logs[dateStr] = data;
+        Storage.putLog(user.id, dateStr, data).catch(console.error);
+        Reminders.refresh();
+    },
+
+    // Dashboard check-in: records the pill on the day's log and keeps the rest of it
+    checkInPill(dateStr, status) {
+        this.saveDailyLog(dateStr, { ...(this.getLog(dateStr) || {}), pill: status });
+    },
+
+    /**
+     * Adds records read by CsvTransfer.readRows to the current profile.
+     * Periods go through the same checks as the editor; a day that already
+     * has a log keeps it. Returns { added, rejected } with rejections as
+     * { line, reason }.
+     */
+    importCsv(kind, records) {
+        const user = this.getCurrentUser();
+        const rejected = [];
+        let added = 0;
+
+        if (kind === 'cycles') {
+            [...records].sort((a, b) => a.startDate < b.startDate ? -1 : 1).forEach(r => {
+                const error = user.cycles.some(c => c.startDate === r.startDate)
+                    ? 'A period starting on this date is already logged.'
+                    : this.validateCycle(r.startDate, r.endDate);
+                if (error) return rejected.push({ line: r.line, reason: error });
+                user.cycles.push({ startDate: r.startDate, endDate: r.endDate });
+                added++;
+            });
+            this.repairCycleEnds(user); // Closes imported open periods that have a later start
+            if (added) this.saveCycles(user);
+        } else {
+            if (!user.logs) user.logs = {};
+            const dates = [];
+            records.forEach(r => {
+                if (user.logs[r.date]) return rejected.push({ line: r.line, reason: 'This day already has a log.' });
+                user.logs[r.date] = r.log;
+                dates.push(r.date);
+            });
+            added = dates.length;
+            if (added) this.saveLogs(dates, user);
+        }
+        return { added: added, rejected: rejected.sort((a, b) => a.line - b.line) };
+    },
+
+    getLog(dateStr) {
+        const user = this.getCurrentUser();
+        return (user && user.logs) ? user.logs[dateStr] : null;
+    }
+};
+
+// --- LOGIC: PREDICTION ENGINE ---
+const CyclePredictor = {
+    MIN_CYCLE_LENGTH: 10,   // Shorter gaps are almost always duplicate logs
+    MAX_SAMPLES: 12,        // Only the most recent cycles shape the prediction
+    RECENCY_DECAY: 0.8,     // Each older cycle weighs 80% of the one after it
+    MIN_SPREAD: 1.5,        // Never claim more certainty than +/- 1.5 days (1 SD)
+    DEFAULT_SPREAD: 3,      // SD assumed until there are a few cycles to learn from
+    Z_SCORES: { 0.5: 0.674, 0.8: 1.282, 0.9: 1.645, 0.95: 1.96 },
+
+    // Start-to-start gaps in days, oldest first
+    // The span from a pregnancy's last period to the next one is not a cycle and is skipped
+    getCycleLengths(cycles) {
+        const sorted = [...cycles].sort((a, b) => LocalDate.compare(a.startDate, b.startDate));
+        const lengths = [];
+        for (let i = 1; i < sorted.length; i++) {
+            if (sorted[i - 1].pregnancy) continue;
+            lengths.push(LocalDate.daysBetween(sorted[i - 1].startDate, sorted[i].startDate));
+        }
+        return lengths;
+    },
+
+    median(values) {
+        const sorted = [...values].sort((a, b) => a - b);
+        const mid = Math.floor(sorted.length / 2);
+        return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+    },
+
+    // Drops gaps that don't describe a real cycle: duplicate logs (too short)
+    // and missed logs (roughly a whole extra cycle). Order is preserved.
+    filterOutliers(lengths) {
+        const plausible = lengths.filter(len => len >= this.MIN_CYCLE_LENGTH);
+
+        if (plausible.length >= 3) {
+            // Median absolute deviation is not dragged around by the outliers themselves
+            const med = this.median(plausible);
+            const mad = this.median(plausible.map(len => Math.abs(len - med))) * 1.4826;
+            const limit = Math.max(3 * mad, 7);
+            return plausible.filter(len => Math.abs(len - med) <= limit);
+        }
+
+        if (plausible.length === 2) {
+            // Too few points for statistics: a gap ~2x the other is most likely a missed log
+            const [shorter, longer] = [...plausible].sort((a, b) => a - b);
+            if (longer >= shorter * 1.8) return plausible.filter(len => len === shorter);
+        }
+
+        return plausible;
+    },
+
+    // Recency-weighted mean and spread of the cycle length
+    estimate(cycles) {
+        const all = this.getCycleLengths(cycles);
+        const kept = this.filterOutliers(all).slice(-this.MAX_SAMPLES);
+
+        if (kept.length === 0) {
+            return {
+                length: DEFAULT_CYCLE_LENGTH,
+                mean: DEFAULT_CYCLE_LENGTH,
+                spread: this.DEFAULT_SPREAD,
+                sampleSize: 0,
+                excluded: all.length
+            };
+        }
+
+        // Most recent cycle has weight 1, older ones decay geometrically
+        const weights = kept.map((_, i) => Math.pow(this.RECENCY_DECAY, kept.length - 1 - i));
+        const totalWeight = weights.reduce((sum, w) => sum + w, 0);
+        const mean = kept.reduce((sum, len, i) => sum + len * weights[i], 0) / totalWeight;
+        const variance = kept.reduce((sum, len, i) => sum + weights[i] * Math.pow(len - mean, 2), 0) / totalWeight;
+
+        let spread = Math.max(Math.sqrt(variance), this.MIN_SPREAD);
+        if (kept.length < 3) spread = Math.max(spread, this.DEFAULT_SPREAD);
+
+        return {
+            length: Math.round(mean),
+            mean: mean,
+            spread: spread,
+            sampleSize: kept.length,
+            excluded: all.length - kept.length
+        };
+    },
+
+    /**
+     * Predicts the next period start after the latest logged cycle.
+     * Returns { mostLikely, early, late, confidence, cycleLength, spread, sampleSize }
+     * where early..late is the central `confidence` interval, or null with no cycles.
+     */
+    predictNextStart(cycles, confidence = 0.8) {
+        if (!cycles || cycles.length === 0) return null;
+
+        const lastStart = cycles
+            .map(c => LocalDate.parse(c.startDate))
+            .reduce((latest, d) => (d > latest ? d : latest));
+
+        const stats = this.estimate(cycles);
+        const z = this.Z_SCORES[confidence] || this.Z_SCORES[0.8];
+        const margin = Math.max(1, Math.round(z * stats.spread));
+
+        return {
+            mostLikely: this.addDays(lastStart, stats.length),
+            early: this.addDays(lastStart, stats.length - margin),
+            late: this.addDays(lastStart, stats.length + margin),
+            confidence: this.Z_SCORES[confidence] ? confidence : 0.8,
+            cycleLength: stats.length,
+            spread: stats.spread,
+            sampleSize: stats.sampleSize
+        };
+    },
+
+    addDays(date, days) {
+        const d = new Date(date);
+        d.setDate(d.getDate() + days);
+        return d;
+    }
+};
+
+// --- LOGIC: PHASE ENGINE ---
+const PhaseEngine = {
+    LUTEAL_LENGTH: 14,        // Ovulation happens ~14 days before the next period
+    OVULATION_MARGIN: 2,      // Ovulation phase / fertile window = ovulation day +/- 2
+    MAX_PERIOD_LENGTH: 14,    // Longer "periods" are an end date that was never logged
+    RECENT_PERIODS: 6,
+    FORECAST_CYCLES: 6,       // How many future cycles the calendar projects
+
+    COLORS: {
+        'Menstrual Phase': '#FF8DA1',
+        'Follicular Phase': '#C8B6FF',
+        'Ovulation Phase': '#B8E0D2',
+        'Luteal Phase': '#FFD166',
+        'Late Phase': '#FF9F1C',
+        'Pregnancy': '#F4A6C6',
+        'Postpartum': '#CDB4DB',
+        'Hormone Days': '#C8B6FF',
+        'Break Week': '#FF8DA1'
+    },
+
+    // Inclusive length in days of every closed period, oldest first.
+    // Forgotten end dates leave implausibly long spans, which are skipped
+    // rather than averaged in.
+    getPeriodLengths(cycles) {
+        return cycles
+            .filter(c => c.startDate && c.endDate)
+            .sort((a, b) => LocalDate.compare(a.startDate, b.startDate))
+            .map(c => LocalDate.daysBetween(c.startDate, c.endDate) + 1)
+            .filter(len => len >= 1 && len <= this.MAX_PERIOD_LENGTH);
+    },
+
+    estimatePeriodLength(cycles) {
+        const recent = this.getPeriodLengths(cycles).slice(-this.RECENT_PERIODS);
+        if (recent.length === 0) return DEFAULT_PERIOD_LENGTH;
+        return Math.round(CyclePredictor.median(recent));
+    },
+
+    /**
+     * Builds the phase layout of the current cycle for one profile's cycles.
+     * Day numbers are 1-based cycle days; dates are local midnights.
+     * Returns null when there is no cycle to anchor to.
+     */
+    buildModel(cycles) {
+        const prediction = CyclePredictor.predictNextStart(cycles);
+        if (!prediction) return null;
+
+        const cycleLength = prediction.cycleLength;
+        const periodLength = Math.min(this.estimatePeriodLength(cycles), cycleLength - 1);
+        const lastStart = CyclePredictor.addDays(prediction.mostLikely, -cycleLength);
+
+        const { ovulationDay, fertileStartDay, fertileEndDay } = this.layoutDays(cycleLength, periodLength);
+
+        return {
+            lastStart: lastStart,
+            cycleLength: cycleLength,
+            periodLength: periodLength,
+            ovulationDay: ovulationDay,
+            fertileStartDay: fertileStartDay,
+            fertileEndDay: fertileEndDay,
+            ovulationDate: CyclePredictor.addDays(lastStart, ovulationDay - 1),
+            fertileStart: CyclePredictor.addDays(lastStart, fertileStartDay - 1),
+            fertileEnd: CyclePredictor.addDays(lastStart, fertileEndDay - 1),
+            prediction: prediction
+        };
+    },
+
+    // 1-based ovulation and fertile-window days for a cycle of the given lengths
+    layoutDays(cycleLength, periodLength) {
+        // Count back from the next start, but never into the period itself
+        const earliestOvulation = periodLength + this.OVULATION_MARGIN + 1;
+        const ovulationDay = Math.max(cycleLength + 1 - this.LUTEAL_LENGTH, earliestOvulation);
+        return {
+            ovulationDay: ovulationDay,
+            fertileStartDay: ovulationDay - this.OVULATION_MARGIN,
+            fertileEndDay: ovulationDay + this.OVULATION_MARGIN
+        };
+    },
+
+    // Phase name for a 1-based cycle day. `periodActive` keeps an open period
+    // menstrual past the usual length (up to MAX_PERIOD_LENGTH).
+    getPhase(model, dayInCycle, periodActive = false, today = new Date()) {
+        if (LocalDate.startOfDay(today) > model.prediction.late) return 'Late Phase';
+        if (dayInCycle <= model.periodLength) return 'Menstrual Phase';
+        if (periodActive && dayInCycle <= this.MAX_PERIOD_LENGTH) return 'Menstrual Phase';
+        if (dayInCycle < model.fertileStartDay) return 'Follicular Phase';
+        if (dayInCycle <= model.fertileEndDay) return 'Ovulation Phase';
+        return 'Luteal Phase';
+    },
+
+    /**
+     * Projects the current cycle and the next `count` cycles forward from the
+     * phase model. Entry 0 is the logged cycle; later entries are predictions
+     * whose early/late range widens with distance (variances add up per cycle).
+     * While the next period is overdue it is expected from today on, and the
+     * cycles after it move back with it, so none lies in the past.
+     */
+    forecast(cycles, count = this.FORECAST_CYCLES, today = new Date()) {
+        const model = this.buildModel(cycles);
+        if (!model) return [];
+
+        const z = CyclePredictor.Z_SCORES[model.prediction.confidence];
+        const add = CyclePredictor.addDays.bind(CyclePredictor);
+        const overdue = Math.max(0, LocalDate.daysBetween(add(model.lastStart, model.cycleLength), today));
+        const projected = [];
+
+        for (let k = 0; k <= count; k++) {
+            const start = k === 0 ? model.lastStart : add(model.lastStart, k * model.cycleLength + overdue);
+            const margin = k === 0 ? 0 : Math.max(1, Math.round(z * model.prediction.spread * Math.sqrt(k)));
+            projected.push({
+                cycle: k,
+                predicted: k > 0,
+                start: start,
+                early: add(start, -margin),
+                late: add(start, margin),
+                periodEnd: add(start, model.periodLength - 1),
+                ovulationDate: add(start, model.ovulationDay - 1),
+                fertileStart: add(start, model.fertileStartDay - 1),
+                fertileEnd: add(start, model.fertileEndDay - 1)
+            });
+        }
+        return projected;
+    },
+
+    getColor(phase) {
+        return this.COLORS[phase] || this.COLORS['Menstrual Phase'];
+    },
+
+    // Natural-cycle predictions don't apply while pregnant or postpartum,
+    // nor on the pill, patch or ring (see Contraception)
+    isPaused(user) {
+        return Pregnancy.pausesPredictions(user) || Contraception.replacesCycle(user);
+    }
+};
+
+// --- LOGIC: FERTILITY AWARENESS ---
+// Optional symptothermal mode (user.fertilityAwareness). Ovulation is only
+// confirmed after the fact, when a basal body temperature shift and the
+// drying-up of cervical mucus agree; the fertile window of such a cycle is
+// "confirmed". Every other window is "predicted", counted back from the next
+// expected period with the profile's own luteal length when it is known.
+const FertilityAwareness = {
+    LOW_READINGS: 6,          // A shift is three readings above the highest of the previous six...
+    HIGH_READINGS: 3,
+    SHIFT_MARGIN_C: 0.2,      // ...the third at least 0.2 °C above that line, or else a fourth above it
+    PEAK_RANK: 3,             // Watery or egg-white mucus (see LogFields.MUCUS)
+    DAYS_AFTER_PEAK: 3,       // Mucus closes the window on the third day after the peak
+    DAYS_BEFORE_OVULATION: 5, // Sperm can survive up to five days
+    DAYS_AFTER_OVULATION: 1,
+
+    isEnabled(user) {
+        return !!(user && user.fertilityAwareness);
+    },
+
+    // Logged entries with `field` between from and to (inclusive), in date order
+    observations(user, field, from, to) {
+        return Object.keys(user.logs || {})
+            .filter(date => date >= from && date <= to && user.logs[date][field] !== undefined)
+            .sort()
+            .map(date => ({ date: date, value: user.logs[date][field] }));
+    },
+
+    /**
+     * The first completed temperature shift in a cycle's readings ({ date, value } in °C):
+     * { coverline, firstHigh, confirmedOn, ovulationDate } or null. Missed days
+     * are skipped rather than counted, and the last low reading is taken as
+     * the day of ovulation.
+     */
+    detectShift(readings) {
+        for (let i = this.LOW_READINGS; i + this.HIGH_READINGS <= readings.length; i++) {
+            const coverline = Math.max(...readings.slice(i - this.LOW_READINGS, i).map(r => r.value));
+            const highs = readings.slice(i, i + this.HIGH_READINGS);
+            if (!highs.every(r => r.value > coverline)) continue;
+
+            const third = highs[highs.length - 1];
+            const fourth = readings[i + this.HIGH_READINGS];
+            let confirmedOn = null;
+            if (third.value >= coverline + this.SHIFT_MARGIN_C - 1e-9) confirmedOn = third.date;
+            else if (fourth && fourth.value > coverline) confirmedOn = fourth.date;
+            if (!confirmedOn) continue;
+
+            return { coverline: coverline, firstHigh: highs[0].date, confirmedOn: confirmedOn, ovulationDate: readings[i - 1].date };
+        }
+        return null;
+    },
+
+    /**
+     * The mucus peak day: the last day of watery or egg-white mucus before
+     * at least DAYS_AFTER_PEAK days of drier observations. `until` is the last
+     * day of the cycle seen so far. Returns { peakDate, closesOn } or null.
+     */
+    findPeak(observations, until) {
+        const rank = key => LogFields.MUCUS[key].rank;
+        for (let i = 0; i < observations.length; i++) {
+            if (rank(observations[i].value) < this.PEAK_RANK) continue;
+            const closesOn = LocalDate.addDays(observations[i].date, this.DAYS_AFTER_PEAK);
+            const after = observations.slice(i + 1).filter(o => o.date <= closesOn);
+            if (after.length === 0 || after.some(o => rank(o.value) >= this.PEAK_RANK)) continue;
+            if (closesOn > until) return null; // Still waiting for the third dry day
+            return { peakDate: observations[i].date, closesOn: closesOn };
+        }
+        return null;
+    },
+
+    /**
+     * Reads one cycle, from its start to the day before `nextStart` (or to
+     * today while it is the current one). Returns { startDate, status, shift,
+     * peak, ovulationDate, fertileStart, fertileEnd } with status 'confirmed'
+     * when both signs agree, 'temperature' or 'mucus' when only one has so
+     * far, and null with neither. Dates are YYYY-MM-DD.
+     */
+    analyzeCycle(user, startDate, nextStart, todayStr) {
+        const until = nextStart ? LocalDate.addDays(nextStart, -1) : todayStr;
+        const mucus = this.observations(user, 'mucus', startDate, until);
+        const shift = this.detectShift(this.observations(user, 'bbt', startDate, until));
+        const peak = this.findPeak(mucus, until);
+        const result = { startDate: startDate, status: null, shift: shift, peak: peak, ovulationDate: null, fertileStart: null, fertileEnd: null };
+        if (shift && peak) {
+            result.status = 'confirmed';
+            result.ovulationDate = shift.ovulationDate;
+            // The window opens with the first mucus (or five days before
+            // ovulation, if earlier) and closes when both rules have passed
+            const firstMucus = mucus.find(o => LogFields.MUCUS[o.value].rank > 0);
+            const earliest = LocalDate.addDays(shift.ovulationDate, -this.DAYS_BEFORE_OVULATION);
+            result.fertileStart = firstMucus && firstMucus.date < earliest ? firstMucus.date : earliest;
+            if (result.fertileStart < startDate) result.fertileStart = startDate;
+            result.fertileEnd = shift.confirmedOn > peak.closesOn ? shift.confirmedOn : peak.closesOn;
+        } else if (shift) {
+            result.status = 'temperature';
+        } else if (peak) {
+            result.status = 'mucus';
+        }
+        return result;
+    },
+
+    // Every logged cycle, newest first
+    analyze(user, today = new Date()) {
+        const todayStr = LocalDate.today(today);
+        const starts = user.cycles.map(c => c.startDate).sort();
+        return starts.map((start, i) => this.analyzeCycle(user, start, starts[i + 1] || null, todayStr)).reverse();
+    },
+
+    // Median days from confirmed ovulation to the next period, or null
+    lutealLength(analyses) {
+        const lengths = [];
+        analyses.forEach((a, i) => {
+            const next = i > 0 ? analyses[i - 1] : null; // Newest first
+            if (a.status === 'confirmed' && next) lengths.push(LocalDate.daysBetween(a.ovulationDate, next.startDate));
+        });
+        return lengths.length ? Math.round(CyclePredictor.median(lengths)) : null;
+    },
+
+    /**
+     * Fertile windows for the calendar, reminders and export, oldest first:
+     * [{ status: 'confirmed' | 'predicted', start, end, ovulation }] as local
+     * midnights; predicted ones also carry the forecast `cycle` they belong
+     * to. Without the mode these are the forecast's windows. With it, past
+     * cycles contribute their confirmed windows, and the predicted ones run
+     * from five days before to a day after the expected ovulation.
+     */
+    windows(user, count = PhaseEngine.FORECAST_CYCLES, today = new Date()) {
+        const cycles = [...user.cycles].sort((a, b) => LocalDate.compare(b.startDate, a.startDate));
+        const forecast = PhaseEngine.isPaused(user) ? [] : PhaseEngine.forecast(cycles, count, today);
+        if (!this.isEnabled(user)) {
+            return forecast.map(f => ({ status: 'predicted', cycle: f.cycle, start: f.fertileStart, end: f.fertileEnd, ovulation: f.ovulationDate }));
+        }
+
+        const analyses = this.analyze(user, today);
+        const confirmed = analyses.filter(a => a.status === 'confirmed').reverse().map(a => ({
+            status: 'confirmed',
+            start: LocalDate.parse(a.fertileStart),
+            end: LocalDate.parse(a.fertileEnd),
+            ovulation: LocalDate.parse(a.ovulationDate)
+        }));
+
+        const luteal = this.lutealLength(analyses) || PhaseEngine.LUTEAL_LENGTH;
+        const currentConfirmed = analyses.length > 0 && analyses[0].status === 'confirmed';
+        const predicted = [];
+        for (let k = 0; k + 1 < forecast.length; k++) {
+            if (k === 0 && currentConfirmed) continue; // This cycle's window is already known
+            const ovulation = CyclePredictor.addDays(forecast[k + 1].start, -luteal);
+            // Never inside the period that opens the cycle
+            const start = CyclePredictor.addDays(ovulation, -this.DAYS_BEFORE_OVULATION);
+            predicted.push({
+                status: 'predicted',
+                cycle: forecast[k].cycle,
+                start: start > forecast[k].periodEnd ? start : CyclePredictor.addDays(forecast[k].periodEnd, 1),
+                end: CyclePredictor.addDays(ovulation, this.DAYS_AFTER_OVULATION),
+                ovulation: ovulation
+            });
+        }
+        return confirmed.concat(predicted);
+    }
+};
+
+// --- LOGIC: PREGNANCY ---
+// A pregnancy is kept on the cycle it began in (cycle.pregnancy =
+// { dueDate, endDate }), so the gap until the next logged period is never
+// counted as a cycle. While pregnant, and postpartum until the first period
+// after it, predictions, late alerts and fertile windows are paused.
+const Pregnancy = {
+    TERM_DAYS: 280,          // Due date: 40 weeks from the first day of the last period
+    MIN_DUE_DAYS: 140,       // A corrected due date must still be 20-46 weeks out
+    MAX_DUE_DAYS: 322,
+    TRIMESTERS: [
+        { name: 'First trimester', untilDay: 14 * 7 },
+        { name: 'Second trimester', untilDay: 28 * 7 },
+        { name: 'Third trimester', untilDay: Infinity }
+    ],
+
+    latestCycle(user) {
+        if (!user || user.cycles.length === 0) return null;
+        return user.cycles.reduce((latest, c) => (c.startDate > latest.startDate ? c : latest));
+    },
+
+    // 'pregnant', 'postpartum' or null
+    status(user) {
+        const latest = this.latestCycle(user);
+        if (!latest || !latest.pregnancy) return null;
+        return latest.pregnancy.endDate ? 'postpartum' : 'pregnant';
+    },
+
+    pausesPredictions(user) {
+        return this.status(user) !== null;
+    },
+
+    current(user) {
+        const latest = this.latestCycle(user);
+        return latest && latest.pregnancy ? { lastPeriod: latest.startDate, ...latest.pregnancy } : null;
+    },
+
+    dueDateFor(lastPeriod) {
+        return LocalDate.addDays(lastPeriod, this.TERM_DAYS);
+    },
+
+    checkDueDate(lastPeriod, dueDate) {
+        if (!Backup.isDateString(dueDate)) return 'Please choose a due date.';
+        const days = LocalDate.daysBetween(lastPeriod, dueDate);
+        if (days < this.MIN_DUE_DAYS || days > this.MAX_DUE_DAYS) return 'That due date does not fit the last period you logged.';
+        return null;
+    },
+
+    /**
+     * Where a pregnancy stands on a day, counted back from its due date so a
+     * corrected date moves everything along: { day (0-based), weeks,
+     * extraDays, trimester, daysToGo }.
+     */
+    progress(pregnancy, todayStr) {
+        const day = this.TERM_DAYS - LocalDate.daysBetween(todayStr, pregnancy.dueDate);
+        return {
+            day: day,
+            weeks: Math.floor(day / 7),
+            extraDays: day % 7,
+            trimester: this.TRIMESTERS.find(t => day < t.untilDay).name,
+            daysToGo: this.TERM_DAYS - day
+        };
+    },
+
+    // Whole weeks since the pregnancy ended
+    weeksPostpartum(pregnancy, todayStr) {
+        return Math.floor(LocalDate.daysBetween(pregnancy.endDate, todayStr) / 7);
+    }
+};
+
+// --- LOGIC: CONTRACEPTION ---
+// Optional per-profile mode (user.contraception). The pill, patch and ring
+// run on a 28-day schedule counted from `startDate`, the first active day of
+// a pack (or of a patch or ring cycle). Their bleeds are withdrawal bleeds
+// in the break, so the schedule replaces natural-cycle predictions. An IUD
+// leaves the natural cycle alone and only adds its check dates.
+const Contraception = {
+    SCHEDULE_DAYS: 28,
+    BLEED_DELAY: 2,          // Withdrawal bleeds usually start two or three days into the break
+    MAX_PACKS: 13,           // A year's supply
+    METHODS: {
+        pill: { label: 'Pill', startLabel: 'First pill of your current pack' },
+        patch: { label: 'Patch', startLabel: 'Day you put on the first patch of this cycle' },
+        ring: { label: 'Ring', startLabel: 'Day you inserted your current ring' },
+        iud: { label: 'IUD', startLabel: 'Day your IUD was fitted' }
+    },
+    // Active days per 28; patch and ring always run three weeks on, one off
+    REGIMENS: {
+        '21/7': { label: '21 active pills, 7-day break', active: 21, breakName: 'Pill-free week' },
+        '24/4': { label: '24 active pills, 4 placebo pills', active: 24, breakName: 'Placebo pills' },
+        continuous: { label: 'Continuous, no break', active: 28, breakName: null }
+    },
+    IUD_KINDS: { hormonal: 'Hormonal', copper: 'Copper' },
+
+    get(user) {
+        return (user && user.contraception) || null;
+    },
+
+    // The pill, patch and ring set the bleeding pattern; an IUD doesn't
+    replacesCycle(user) {
+        const config = this.get(user);
+        return !!config && config.method !== 'iud';
+    },
+
+    describe(config) {
+        if (!config) return 'Off';
+        if (config.method === 'pill') return `Pill (${config.regimen})`;
+        if (config.method === 'iud') return `${this.IUD_KINDS[config.kind]} IUD`;
+        return this.METHODS[config.method].label;
+    },
+
+    validate(config, todayStr) {
+        if (!Object.prototype.hasOwnProperty.call(this.METHODS, config.method)) return 'Please choose a method.';
+        if (!Backup.isDateString(config.startDate)) return 'Please choose a start date.';
+        if (config.startDate > todayStr) return 'The start date cannot be in the future.';
+        if (config.method === 'pill') {
+            if (!Object.prototype.hasOwnProperty.call(this.REGIMENS, config.regimen)) return 'Please choose your pack type.';
+            const packs = config.packsLeft;
+            if (packs !== null && packs !== undefined && !(Number.isInteger(packs) && packs >= 0 && packs <= this.MAX_PACKS)) {
+                return `Please enter between 0 and ${this.MAX_PACKS} packs.`;
+            }
+        }
+        if (config.method === 'iud') {
+            if (!Object.prototype.hasOwnProperty.call(this.IUD_KINDS, config.kind)) return 'Please choose the kind of IUD.';
+            if (config.replaceBy && !(Backup.isDateString(config.replaceBy) && config.replaceBy > config.startDate)) {
+                return 'The replacement date must be after the day it was fitted.';
+            }
+        }
+        return null;
+    },
+
+    activeDays(config) {
+        return config.method === 'pill' ? this.REGIMENS[config.regimen].active : 21;
+    },
+
+    /**
+     * Where a day falls in the pill, patch or ring schedule: { day (1-28),
+     * packStart, active }, or null for an IUD or a day before the schedule began.
+     */
+    dayOf(config, dateStr) {
+        if (config.method === 'iud' || dateStr < config.startDate) return null;
+        const offset = LocalDate.daysBetween(config.startDate, dateStr) % this.SCHEDULE_DAYS;
+        return {
+            day: offset + 1,
+            packStart: LocalDate.addDays(dateStr, -offset),
+            active: offset < this.activeDays(config)
+        };
+    },
+
+    // What the circle shows, e.g. 'Active pills' or 'Ring-free week'
+    phaseName(config, day) {
+        if (config.method === 'pill') {
+            return day.active ? 'Active pills' : this.REGIMENS[config.regimen].breakName;
+        }
+        if (config.method === 'patch') return day.active ? `Patch week ${Math.ceil(day.day / 7)}` : 'Patch-free week';
+        return day.active ? 'Ring in' : 'Ring-free week';
+    },
+
+    // The next `count` withdrawal bleeds still to end on or after fromStr: [{ start, end }]
+    bleeds(config, fromStr, count = PhaseEngine.FORECAST_CYCLES) {
+        const active = this.activeDays(config);
+        if (config.method === 'iud' || active === this.SCHEDULE_DAYS) return [];
+        const current = this.dayOf(config, fromStr);
+        let packStart = current ? current.packStart : config.startDate;
+        const result = [];
+        while (result.length < count) {
+            const delay = Math.min(this.BLEED_DELAY, this.SCHEDULE_DAYS - active - 1);
+            const bleed = {
+                start: LocalDate.addDays(packStart, active + delay),
+                end: LocalDate.addDays(packStart, this.SCHEDULE_DAYS - 1)
+            };
+            if (bleed.end >= fromStr) result.push(bleed);
+            packStart = LocalDate.addDays(packStart, this.SCHEDULE_DAYS);
+        }
+        return result;
+    },
+
+    // Pills in the pack run out on this day, going by the packs left when last counted
+    runOutDate(config) {
+        if (config.method !== 'pill' || config.packsLeft === null || config.packsLeft === undefined) return null;
+        return LocalDate.addDays(config.packsCountedFrom, config.packsLeft * this.SCHEDULE_DAYS);
+    },
+
+    // A 21/7 pack has no pill in its break week; placebo pills still count as a pill to take
+    pillDue(config, dateStr) {
+        const day = this.dayOf(config, dateStr);
+        return !!day && (day.active || config.regimen !== '21/7');
+    },
+
+    // The thing to do on a day of the schedule, or null
+    eventOn(config, dateStr) {
+        if (config.method === 'iud') {
+            if (dateStr === config.replaceBy) return 'Your IUD is due to be replaced. Book an appointment if you haven\'t yet.';
+            if (dateStr <= config.startDate) return null;
+            // Once a month, on the day of the month it was fitted (or the month's last day)
+            const day = Number(config.startDate.slice(8));
+            const lastOfMonth = new Date(Number(dateStr.slice(0, 4)), Number(dateStr.slice(5, 7)), 0).getDate();
+            return Number(dateStr.slice(8)) === Math.min(day, lastOfMonth) ? 'Time for your monthly IUD thread check.' : null;
+        }
+        const day = this.dayOf(config, dateStr);
+        if (!day) return null;
+        const active = this.activeDays(config);
+        if (config.method === 'pill') return day.day === 1 ? 'Start a new pill pack today.' : null;
+        if (day.day === 1) return config.method === 'patch' ? 'Put on a new patch today.' : 'Insert a new ring today.';
+        if (day.day === active + 1) return config.method === 'patch' ? 'Take off your patch today.' : 'Take out your ring today.';
+        if (config.method === 'patch' && day.active && day.day % 7 === 1) return 'Change your patch today.';
+        return null;
+    },
+
+    // [{ date, text }] for every scheduled event from..to (inclusive)
+    events(config, from, to) {
+        const result = [];
+        for (let date = from; date <= to; date = LocalDate.addDays(date, 1)) {
+            const text = this.eventOn(config, date);
+            if (text) result.push({ date: date, text: text });
+        }
+        return result;
+    },
+
+    /**
+     * The run of active pills logged as missed that ends today (or
+     * yesterday, as today's pill may still be to come), oldest first.
+     * Break days are stepped over; a taken or unlogged pill ends the run.
+     */
+    missedPills(user, todayStr) {
+        const config = this.get(user);
+        if (!config || config.method !== 'pill') return [];
+        const missed = [];
+        for (let back = 0; back < this.SCHEDULE_DAYS; back++) {
+            const date = LocalDate.addDays(todayStr, -back);
+            const day = this.dayOf(config, date);
+            if (!day) break;
+            if (!day.active) continue;
+            const log = user.logs && user.logs[date];
+            if (log && log.pill === 'missed') missed.unshift(date);
+            else if (back > 0 || missed.length) break;
+        }
+        return missed;
+    },
+
+    /**
+     * General advice for missed combined pills: { count, steps } or null.
+     * Progestogen-only pills and some brands differ, which the card says.
+     */
+    guidance(user, todayStr) {
+        const missed = this.missedPills(user, todayStr);
+        if (missed.length === 0) return null;
+        const config = this.get(user);
+        if (missed.length === 1) {
+            return {
+                count: 1,
+                steps: [
+                    'Take the missed pill as soon as you remember, even if that means two pills in one day. Then carry on as usual.',
+                    'You are still protected: no extra contraception is needed.'
+                ]
+            };
+        }
+
+        const steps = [
+            'Take the most recent missed pill now, even if that means two pills in one day, and leave out the earlier missed ones. Then carry on as usual.',
+            'Use condoms or avoid sex until you have taken seven active pills in a row.'
+        ];
+        const active = this.activeDays(config);
+        const firstDay = this.dayOf(config, missed[0]).day;
+        if (firstDay <= 7) {
+            const since = LocalDate.addDays(missed[0], -7);
+            const unprotected = Object.keys(user.logs || {}).some(date => date >= since && date <= todayStr && user.logs[date].sex === 'unprotected');
+            if (unprotected) steps.push('You logged unprotected sex in the last week. Ask a pharmacist or doctor about emergency contraception.');
+        }
+        if (active < this.SCHEDULE_DAYS && firstDay > active - 7) {
+            steps.push(config.regimen === '24/4'
+                ? 'Skip the placebo pills: start your next pack as soon as the active pills run out.'
+                : 'Skip the break: start your next pack the day after this one ends.');
+        }
+        return { count: missed.length, steps: steps };
+    }
+};
+
+// --- LOGIC: CYCLE STATISTICS ---
+// Summary figures for a date range, as a clinician would ask for them.
+// Used by the doctor report.
+const CycleStats = {
+    SHORT_CYCLE: 21,        // Cycles under 21 days are flagged
+    LONG_CYCLE: 35,         // ...and over 35 days
+    LONG_PERIOD: 7,         // Bleeding for more than 7 days is flagged
+    MAX_DEVIATION: 7,       // So is a cycle more than a week off the usual length
+    TOP_SYMPTOMS_PER_DAY: 3,
+
+    // { count, mean, median, sd, min, max }; null when there are no values
+    describe(values) {
+        if (values.length === 0) return null;
+        const mean = values.reduce((sum, v) => sum + v, 0) / values.length;
+        // Sample standard deviation, 0 for a single value
+        const variance = values.length > 1
+            ? values.reduce((sum, v) => sum + (v - mean) ** 2, 0) / (values.length - 1)
+            : 0;
+        return {
+            count: values.length,
+            mean: mean,
+            median: CyclePredictor.median(values),
+            sd: Math.sqrt(variance),
+            min: Math.min(...values),
+            max: Math.max(...values)
+        };
+    },
+
+    // 1-based day of the cycle a date falls in, or null before the first logged period
+    cycleDay(cyclesAsc, dateStr) {
+        const cycle = [...cyclesAsc].reverse().find(c => c.startDate <= dateStr);
+        return cycle ? LocalDate.daysBetween(cycle.startDate, dateStr) + 1 : null;
+    },
+
+    /**
+     * Builds the doctor report for periods starting between `from` and `to`
+     * (YYYY-MM-DD, inclusive) and the logs in the same range:
+     * { cycles: [{ startDate, endDate, cycleLength, periodLength, flags }],
+     *   cycleLength, periodLength (see describe), symptomsByDay, topSymptoms,
+     *   heavyFlowDays: [{ date, cycleDay }], logCount }
+     */
+    buildReport(user, from, to) {
+        const all = [...user.cycles].sort((a, b) => LocalDate.compare(a.startDate, b.startDate));
+
+        const rows = all.map((c, i) => {
+            const next = all[i + 1];
+            return {
+                startDate: c.startDate,
+                endDate: c.endDate,
+                // The length of a cycle is only known once the next one starts
+                // (and a pregnancy's gap is not one)
+                cycleLength: next && !c.pregnancy ? LocalDate.daysBetween(c.startDate, next.startDate) : null,
+                periodLength: c.endDate ? LocalDate.daysBetween(c.startDate, c.endDate) + 1 : null,
+                flags: c.pregnancy ? [`Pregnancy (due ${c.pregnancy.dueDate}); not counted as a cycle`] : []
+            };
+        }).filter(r => r.startDate >= from && r.startDate <= to);
+
+        const cycleLengths = rows.map(r => r.cycleLength).filter(len => len !== null);
+        const periodLengths = rows.map(r => r.periodLength).filter(len => len !== null);
+        const usual = cycleLengths.length >= 3 ? CyclePredictor.median(cycleLengths) : null;
+
+        rows.forEach(r => {
+            if (r.cycleLength !== null) {
+                if (r.cycleLength < this.SHORT_CYCLE) r.flags.push(`Short cycle (under ${this.SHORT_CYCLE} days)`);
+                else if (r.cycleLength > this.LONG_CYCLE) r.flags.push(`Long cycle (over ${this.LONG_CYCLE} days)`);
+                else if (usual !== null && Math.abs(r.cycleLength - usual) > this.MAX_DEVIATION) {
+                    r.flags.push(`${Math.round(Math.abs(r.cycleLength - usual))} days off the usual length`);
+                }
+            }
+            if (r.periodLength !== null && r.periodLength > this.LONG_PERIOD) {
+                r.flags.push(`Long period (over ${this.LONG_PERIOD} days)`);
+            }
+        });
+
+        // Symptoms and heavy flow by cycle day
+        const logDates = Object.keys(user.logs || {}).filter(d => d >= from && d <= to).sort();
+        const byDay = {};
+        const totals = {};
+        const heavyFlowDays = [];
+        logDates.forEach(date => {
+            const log = user.logs[date];
+            const day = this.cycleDay(all, date);
+            if (log.flow === 'high') heavyFlowDays.push({ date: date, cycleDay: day });
+            (log.symptoms || []).forEach(s => {
+                totals[s] = (totals[s] || 0) + 1;
+                if (day === null) return;
+                if (!byDay[day]) byDay[day] = {};
+                byDay[day][s] = (byDay[day][s] || 0) + 1;
+            });
+        });
+
+        const ranked = counts => Object.entries(counts)
+            .map(([name, count]) => ({ name: name, count: count }))
+            .sort((a, b) => b.count - a.count || a.name.localeCompare(b.name));
+
+        return {
+            from: from,
+            to: to,
+            cycles: rows,
+            cycleLength: this.describe(cycleLengths),
+            periodLength: this.describe(periodLengths),
+            symptomsByDay: Object.keys(byDay)
+                .map(Number)
+                .sort((a, b) => a - b)
+                .map(day => ({ day: day, symptoms: ranked(byDay[day]).slice(0, this.TOP_SYMPTOMS_PER_DAY) })),
+            topSymptoms: ranked(totals),
+            heavyFlowDays: heavyFlowDays,
+            logCount: logDates.length
+        };
+    }
+};
+
+// --- LOGIC: HEALTH FLAGS ---
+// Rules over a profile's cycles and logs that pick out patterns worth raising
+// with a doctor. The span from a pregnancy to the next period is never a
+// cycle, and cycle-length rules are skipped while the pill, patch or ring
+// sets the bleeding pattern. A flag is a prompt for a conversation, not a
+// diagnosis.
+const HealthFlags = {
+    RECENT: 6,              // Rules look at the last six cycles and periods
+    MIN_CYCLES: 3,          // "Consistently" needs at least three cycles
+    GAP_DAYS: 90,           // Three months or more without a period
+    VARIABLE_RANGE: 9,      // Shortest and longest cycle more than 9 days apart
+    HEAVY_DAYS: 3,          // A period with heavy flow on three or more days counts as heavy
+    REPEATS: 2,             // Long, heavy and spotting periods must happen more than once
+
+    /**
+     * Every flag that applies today, most pressing first:
+     * [{ id, title, summary, explanation, doctor }] where summary states what
+     * the logs show, explanation what it can mean, and doctor when to get it checked.
+     */
+    check(user, todayStr) {
+        const cycles = [...user.cycles].sort((a, b) => LocalDate.compare(a.startDate, b.startDate));
+        if (cycles.length === 0) return [];
+        const flags = [];
+        const scheduled = Contraception.replacesCycle(user);
+
+        if (!scheduled) {
+            const gap = this.gap(cycles, user, todayStr);
+            if (gap) flags.push(gap);
+
+            // Gaps are their own flag, so they don't count as long cycles too
+            const lengths = this.cycleLengths(cycles).filter(len => len < this.GAP_DAYS);
+            [this.shortCycles(lengths), this.longCycles(lengths), this.variability(lengths)].forEach(flag => {
+                if (flag) flags.push(flag);
+            });
+        }
+
+        const periods = this.recentPeriods(cycles, todayStr);
+        [this.longPeriods(periods), this.heavyFlow(periods, user), this.spotting(cycles, user, todayStr)].forEach(flag => {
+            if (flag) flags.push(flag);
+        });
+        return flags;
+    },
+
+    // Start-to-start lengths of the most recent closed cycles, oldest first
+    cycleLengths(cyclesAsc) {
+        const lengths = [];
+        cyclesAsc.forEach((c, i) => {
+            const next = cyclesAsc[i + 1];
+            if (!next || c.pregnancy) return;
+            const length = LocalDate.daysBetween(c.startDate, next.startDate);
+            if (length >= CyclePredictor.MIN_CYCLE_LENGTH) lengths.push(length); // Shorter ones are duplicate logs
+        });
+        return lengths.slice(-this.RECENT);
+    },
+
+    // The last few periods as { startDate, endDate }; an open period runs to today
+    recentPeriods(cyclesAsc, todayStr) {
+        return cyclesAsc.slice(-this.RECENT).map((c, i, recent) => ({
+            startDate: c.startDate,
+            endDate: c.endDate || (i === recent.length - 1 ? todayStr : c.startDate)
+        }));
+    },
+
+    gap(cyclesAsc, user, todayStr) {
+        const latest = cyclesAsc[cyclesAsc.length - 1];
+        const sinceLatest = LocalDate.daysBetween(latest.startDate, todayStr);
+        let summary = null;
+        if (!Pregnancy.status(user) && sinceLatest >= this.GAP_DAYS) {
+            summary = `It has been ${sinceLatest} days since your last logged period.`;
+        } else {
+            const recent = cyclesAsc.slice(-this.RECENT - 1);
+            const index = recent.findIndex((c, i) => recent[i + 1] && !c.pregnancy && LocalDate.daysBetween(c.startDate, recent[i + 1].startDate) >= this.GAP_DAYS);
+            if (index !== -1) {
+                const days = LocalDate.daysBetween(recent[index].startDate, recent[index + 1].startDate);
+                summary = `${days} days passed between the periods that started on ${this.formatDate(recent[index].startDate)} and ${this.formatDate(recent[index + 1].startDate)}.`;
+            }
+        }
+        if (!summary) return null;
+        return {
+            id: 'gap',
+            title: 'No period for 3 months or more',
+            summary: summary + ' If you simply forgot to log a period, adding it will clear this.',
+            explanation: 'Going three months without a period, when you are not pregnant, breastfeeding or on hormonal contraception, is called amenorrhea. Stress, weight changes, intense exercise, PCOS and thyroid or other hormone problems are common causes.',
+            doctor: 'Discuss this with a doctor. If there is any chance you are pregnant, take a pregnancy test first.'
+        };
+    },
+
+    shortCycles(lengths) {
+        const short = lengths.filter(len => len < CycleStats.SHORT_CYCLE).length;
+        if (lengths.length < this.MIN_CYCLES || short * 2 <= lengths.length) return null;
+        return {
+            id: 'short-cycles',
+            title: `Cycles often shorter than ${CycleStats.SHORT_CYCLE} days`,
+            summary: `${short} of your last ${lengths.length} cycles were shorter than ${CycleStats.SHORT_CYCLE} days.`,
+            explanation: 'Cycles this short can mean ovulation is not happening every cycle, or that the second half of the cycle is short. Stress, thyroid problems and the years before menopause are among the common causes.',
+            doctor: 'Worth discussing with a doctor, who may suggest a simple blood test.'
+        };
+    },
+
+    longCycles(lengths) {
+        const long = lengths.filter(len => len > CycleStats.LONG_CYCLE).length;
+        if (lengths.length < this.MIN_CYCLES || long * 2 <= lengths.length) return null;
+        return {
+            id: 'long-cycles',
+            title: `Cycles often longer than ${CycleStats.LONG_CYCLE} days`,
+            summary: `${long} of your last ${lengths.length} cycles were longer than ${CycleStats.LONG_CYCLE} days.`,
+            explanation: 'Long cycles often mean ovulation is irregular or not happening. PCOS, thyroid problems, stress, weight changes and breastfeeding are common reasons.',
+            doctor: 'Worth discussing with a doctor, especially if you are trying to get pregnant.'
+        };
+    },
+
+    variability(lengths) {
+        if (lengths.length < this.MIN_CYCLES) return null;
+        const stats = CycleStats.describe(lengths);
+        const range = stats.max - stats.min;
+        if (range <= this.VARIABLE_RANGE) return null;
+        return {
+            id: 'variability',
+            title: 'Cycle length changes a lot',
+            summary: `Your last ${lengths.length} cycles ranged from ${stats.min} to ${stats.max} days, a difference of ${range} days.`,
+            explanation: `When the shortest and longest cycles are more than ${this.VARIABLE_RANGE} days apart, cycles count as irregular. This is common in the first years of having periods and in the years before menopause, but it can also point to hormonal changes.`,
+            doctor: 'Discuss it with a doctor if this is new for you or comes with other symptoms.'
+        };
+    },
+
+    longPeriods(periods) {
+        const lengths = periods.map(p => LocalDate.daysBetween(p.startDate, p.endDate) + 1);
+        // Longer spans are an end date that was never logged, not a period
+        const long = lengths.filter(len => len > CycleStats.LONG_PERIOD && len <= PhaseEngine.MAX_PERIOD_LENGTH).length;
+        if (long < this.REPEATS) return null;
+        return {
+            id: 'long-periods',
+            title: `Periods lasting more than ${CycleStats.LONG_PERIOD} days`,
+            summary: `${long} of your last ${periods.length} periods lasted more than ${CycleStats.LONG_PERIOD} days.`,
+            explanation: 'Bleeding for more than a week can lead to low iron (anaemia), which makes you tired and short of breath. Fibroids, polyps, hormone changes and bleeding disorders are possible causes.',
+            doctor: 'Worth discussing with a doctor, who can check your iron levels.'
+        };
+    },
+
+    heavyFlow(periods, user) {
+        const logs = user.logs || {};
+        const heavy = periods.filter(p => Object.keys(logs).filter(date => date >= p.startDate && date <= p.endDate && logs[date].flow === 'high').length >= this.HEAVY_DAYS).length;
+        if (heavy < this.REPEATS) return null;
+        return {
+            id: 'heavy-flow',
+            title: 'Frequent heavy flow',
+            summary: `You logged heavy flow on ${this.HEAVY_DAYS} or more days in ${heavy} of your last ${periods.length} periods.`,
+            explanation: 'Regular heavy bleeding is common, but it is not something you have to live with. It can lead to low iron, and fibroids, polyps, bleeding disorders or some medicines can be behind it.',
+            doctor: 'See a doctor about it, and soon if you soak through a pad or tampon every hour or feel dizzy.'
+        };
+    },
+
+    // Flow logged outside any period, counted per cycle; bleeding after a pregnancy doesn't count
+    spotting(cyclesAsc, user, todayStr) {
+        const logs = user.logs || {};
+        const recent = cyclesAsc.slice(-this.RECENT);
+        const withSpotting = recent.filter((c, i) => {
+            if (c.pregnancy) return false;
+            const next = recent[i + 1];
+            const periodEnd = c.endDate || (next ? c.startDate : todayStr);
+            return Object.keys(logs).some(date => logs[date].flow && date > periodEnd && (!next || date < next.startDate));
+        }).length;
+        if (withSpotting < this.REPEATS) return null;
+        const hormonal = Contraception.get(user) && Contraception.get(user).kind !== 'copper';
+        return {
+            id: 'spotting',
+            title: 'Bleeding between periods',
+            summary: `You logged bleeding between periods in ${withSpotting} of your last ${recent.length} cycles.` +
+                (hormonal ? ' Spotting is common in the first few months of hormonal contraception.' : ''),
+            explanation: 'Bleeding between periods can come from hormone changes, contraception, infections or polyps, and less often from changes in the cervix.',
+            doctor: 'Discuss it with a doctor, especially if it keeps happening or also happens after sex.'
+        };
+    },
+
+    formatDate(dateStr) {
+        return LocalDate.display(dateStr, { month: 'short', day: 'numeric', year: 'numeric' });
+    }
+};
+
+// --- LOGIC: SYMPTOM & MOOD PATTERNS ---
+// Lines every daily log up with its cycle day, days until the next period
+// and phase, then looks for things that keep landing on the same days.
+// Shares are "fraction of tracked cycles", where a tracked cycle is one
+// with at least one log.
+const PatternAnalyzer = {
+    MIN_CYCLES: 2,      // A pattern needs at least two cycles behind it
+    MIN_SHARE: 0.5,     // ...and has to show up in at least half of them
+    MAX_WINDOW: 3,      // Statements cover at most three consecutive days
+    MAX_DAYS: 35,       // Heatmap columns
+    MAX_DAYS_BEFORE: 14, // "Before your period" only reads naturally within the luteal phase
+
+    /**
+     * One entry per log on or after the first period:
+     * { date, cycle (index, oldest first), day, daysBefore (null while the
+     *   next start is unknown), phase, log, features (see featuresOf) }
+     */
+    alignLogs(user) {
+        const cycles = [...user.cycles].sort((a, b) => LocalDate.compare(a.startDate, b.startDate));
+        if (cycles.length === 0) return [];
+        const model = PhaseEngine.buildModel([...cycles].reverse());
+        const lowMoods = Vocabulary.lowMoods(user);
+
+        return Object.keys(user.logs || {}).sort().map(date => {
+            const index = cycles.map(c => c.startDate <= date).lastIndexOf(true);
+            if (index === -1) return null;
+            const cycle = cycles[index];
+            if (cycle.pregnancy) return null; // Not cycle days
+            const next = cycles[index + 1];
+            const day = LocalDate.daysBetween(cycle.startDate, date) + 1;
+            const cycleLength = next ? LocalDate.daysBetween(cycle.startDate, next.startDate) : model.cycleLength;
+            const periodLength = cycle.endDate ? LocalDate.daysBetween(cycle.startDate, cycle.endDate) + 1 : model.periodLength;
+            return {
+                date: date,
+                cycle: index,
+                day: day,
+                daysBefore: next ? LocalDate.daysBetween(date, next.startDate) : null,
+                phase: this.phaseFor(day, cycleLength, periodLength),
+                log: user.logs[date],
+                features: this.featuresOf(user.logs[date], lowMoods)
+            };
+        }).filter(Boolean);
+    },
+
+    phaseFor(day, cycleLength, periodLength) {
+        const layout = PhaseEngine.layoutDays(cycleLength, Math.min(periodLength, cycleLength - 1));
+        if (day <= periodLength) return 'Menstrual Phase';
+        if (day < layout.fertileStartDay) return 'Follicular Phase';
+        if (day <= layout.fertileEndDay) return 'Ovulation Phase';
+        return 'Luteal Phase';
+    },
+
+    // Everything a log says, as feature keys: symptom:cramps, tag:travel,
+    // med:ibuprofen, mood:sad, lowmood (any mood the profile marks as low),
+    // flow:high, sleep:short
+    featuresOf(log, lowMoods) {
+        const features = (log.symptoms || []).map(s => `symptom:${s}`);
+        (log.tags || []).forEach(t => features.push(`tag:${t}`));
+        (log.medications || []).forEach(m => features.push(`med:${m}`));
+        if (log.mood) features.push(`mood:${log.mood}`);
+        if (lowMoods.includes(log.mood)) features.push('lowmood');
+        if (log.flow === 'high') features.push('flow:high');
+        if (log.sleep !== undefined && log.sleep < LogFields.SHORT_SLEEP_HOURS) features.push('sleep:short');
+        return features;
+    },
+
+    featureLabel(feature, user) {
+        const [kind, key] = feature.split(/:(.*)/);
+        if (kind === 'lowmood') return 'Low mood';
+        if (kind === 'flow') return 'Heavy flow';
+        if (kind === 'sleep') return 'Short sleep';
+        if (kind === 'med') return `${Vocabulary.label(user, 'medications', key)} use`;
+        if (kind === 'mood') return `${Vocabulary.emoji(user, key)} ${Vocabulary.label(user, 'moods', key)}`;
+        if (kind === 'tag') return `#${Vocabulary.label(user, 'tags', key)}`;
+        return Vocabulary.label(user, 'symptoms', key);
+    },
+
+    // feature -> offset -> Set of cycle indexes, for offsets taken from `offsetOf`
+    occurrences(entries, offsetOf) {
+        const map = {};
+        entries.forEach(e => {
+            const offset = offsetOf(e);
+            if (offset === null) return;
+            e.features.forEach(f => {
+                if (!map[f]) map[f] = {};
+                if (!map[f][offset]) map[f][offset] = new Set();
+                map[f][offset].add(e.cycle);
+            });
+        });
+        return map;
+    },
+
+    // Densest run of up to MAX_WINDOW offsets around the busiest one: { from, to, cycles }
+    findCluster(byOffset) {
+        const size = offset => byOffset[offset] ? byOffset[offset].size : 0;
+        const peak = Object.keys(byOffset).map(Number).sort((a, b) => size(b) - size(a) || a - b)[0];
+        let from = peak;
+        let to = peak;
+        const strong = offset => size(offset) >= Math.max(1, size(peak) / 2);
+        while (to - from + 1 < this.MAX_WINDOW) {
+            const left = strong(from - 1) ? size(from - 1) : 0;
+            const right = strong(to + 1) ? size(to + 1) : 0;
+            if (!left && !right) break;
+            if (right >= left) to++;
+            else from--;
+        }
+        const cycles = new Set();
+        for (let o = from; o <= to; o++) (byOffset[o] || []).forEach(c => cycles.add(c));
+        return { from: from, to: to, cycles: cycles.size };
+    },
+
+    /**
+     * Plain-language statements, strongest first:
+     * [{ feature, text, share }]. Each feature is described either by cycle
+     * day or by days before the next period, whichever it follows more closely.
+     */
+    findPatterns(entries, user) {
+        const tracked = new Set(entries.map(e => e.cycle)).size;
+        const trackedComplete = new Set(entries.filter(e => e.daysBefore !== null).map(e => e.cycle)).size;
+        const byDay = this.occurrences(entries, e => e.day);
+        const byBefore = this.occurrences(entries, e => e.daysBefore !== null && e.daysBefore <= this.MAX_DAYS_BEFORE ? e.daysBefore : null);
+        const range = (from, to) => from === to ? `${from}` : `${from}–${to}`;
+
+        // Single low moods are covered by the combined "low mood" statement
+        const lowMoods = Vocabulary.lowMoods(user);
+        const described = Object.keys(byDay).filter(f => !lowMoods.some(m => f === `mood:${m}`));
+        return described.map(feature => {
+            const candidates = [];
+            if (tracked >= this.MIN_CYCLES) {
+                const c = this.findCluster(byDay[feature]);
+                candidates.push({ share: c.cycles / tracked, cycles: c.cycles,
+                    where: `on day${c.from === c.to ? '' : 's'} ${range(c.from, c.to)}` });
+            }
+            if (byBefore[feature] && trackedComplete >= this.MIN_CYCLES) {
+                const c = this.findCluster(byBefore[feature]);
+                const days = c.to === 1 ? '1 day' : `${range(c.from, c.to)} days`;
+                candidates.push({ share: c.cycles / trackedComplete, cycles: c.cycles, where: `${days} before your period` });
+            }
+            const best = candidates.sort((a, b) => b.share - a.share)[0]; // Stable: cycle day wins ties
+            if (!best || best.cycles < this.MIN_CYCLES || best.share < this.MIN_SHARE) return null;
+
+            const percent = Math.round(best.share * 100);
+            const label = this.featureLabel(feature, user);
+            let subject = `${label} ${label.endsWith('s') ? 'appear' : 'appears'}`;
+            if (feature === 'lowmood') subject = 'Low mood clusters';
+            else if (feature.startsWith('mood:')) subject = `${label} mood shows up`;
+            return {
+                feature: feature,
+                share: best.share,
+                text: `${subject} ${best.where} in ${percent}% of cycles.`
+            };
+        }).filter(Boolean).sort((a, b) => b.share - a.share);
+    },
+
+    // Heatmap rows: { feature, label, cells: share of tracked cycles per day 1..days }
+    heatmap(entries, user) {
+        const tracked = new Set(entries.map(e => e.cycle)).size;
+        const byDay = this.occurrences(entries, e => e.day <= this.MAX_DAYS ? e.day : null);
+        delete byDay.lowmood; // The single moods already have their own rows
+        const days = Math.max(0, ...entries.map(e => Math.min(e.day, this.MAX_DAYS)));
+        const order = f => ['symptom', 'flow', 'sleep', 'lowmood', 'mood', 'med', 'tag'].indexOf(f.split(':')[0]);
+
+        return {
+            days: days,
+            tracked: tracked,
+            rows: Object.keys(byDay)
+                .sort((a, b) => order(a) - order(b) || a.localeCompare(b))
+                .map(feature => ({
+                    feature: feature,
+                    label: this.featureLabel(feature, user),
+                    cells: Array.from({ length: days }, (_, i) => {
+                        const cycles = byDay[feature][i + 1];
+                        return cycles ? cycles.size / tracked : 0;
+                    })
+                }))
+        };
+    },
+
+    /**
+     * Symptoms, low mood and heavy flow likely over the next `days` days, from
+     * how often they fell on the same cycle day (or days before the period)
+     * in past cycles, give or take a day. One entry per feature, at the first
+     * day it becomes likely: [{ feature, label, offset (0 = today), share, text }]
+     */
+    forecastSymptoms(user, days = 3, today = new Date()) {
+        if (PhaseEngine.isPaused(user)) return [];
+        const entries = this.alignLogs(user);
+        const tracked = new Set(entries.map(e => e.cycle)).size;
+        if (tracked < this.MIN_CYCLES) return [];
+        const trackedComplete = new Set(entries.filter(e => e.daysBefore !== null).map(e => e.cycle)).size;
+
+        const cycles = [...user.cycles].sort((a, b) => LocalDate.compare(b.startDate, a.startDate));
+        const model = PhaseEngine.buildModel(cycles);
+        const todayStr = LocalDate.today(today);
+        const dayToday = LocalDate.daysBetween(cycles[0].startDate, todayStr) + 1;
+        const beforeToday = LocalDate.daysBetween(todayStr, model.prediction.mostLikely);
+
+        const byDay = this.occurrences(entries, e => e.day);
+        const byBefore = this.occurrences(entries, e => e.daysBefore);
+        const share = (byOffset, offset, total) => {
+            if (!byOffset || total < this.MIN_CYCLES) return 0;
+            const cycles = new Set();
+            [offset - 1, offset, offset + 1].forEach(o => (byOffset[o] || []).forEach(c => cycles.add(c)));
+            return cycles.size >= this.MIN_CYCLES ? cycles.size / total : 0;
+        };
+
+        const likely = [];
+        // Things that happen to you, not moods or what you chose to note or take
+        Object.keys(byDay).filter(f => /^(symptom|flow|lowmood|sleep)\b/.test(f)).forEach(feature => {
+            for (let offset = 0; offset <= days; offset++) {
+                const before = beforeToday - offset;
+                const chance = Math.max(
+                    share(byDay[feature], dayToday + offset, tracked),
+                    before >= 1 && before <= this.MAX_DAYS_BEFORE ? share(byBefore[feature], before, trackedComplete) : 0,
+                    // Past the predicted start, count days into the next cycle
+                    before <= 0 ? share(byDay[feature], 1 - before, tracked) : 0
+                );
+                if (chance >= this.MIN_SHARE) {
+                    const label = this.featureLabel(feature, user);
+                    const when = offset === 0 ? 'today' : offset === 1 ? 'tomorrow' : `in ${offset} days`;
+                    likely.push({ feature: feature, label: label, offset: offset, share: chance, text: `${label} likely ${when}` });
+                    break;
+                }
+            }
+        });
+        return likely.sort((a, b) => a.offset - b.offset || b.share - a.share);
+    },
+
+    // Most logged features per phase: { phase: [{ feature, label, count }] }
+    byPhase(entries, user) {
+        const counts = {};
+        entries.forEach(e => {
+            if (!counts[e.phase]) counts[e.phase] = {};
+            e.features.filter(f => f !== 'lowmood').forEach(f => {
+                counts[e.phase][f] = (counts[e.phase][f] || 0) + 1;
+            });
+        });
+        const result = {};
+        Object.keys(counts).forEach(phase => {
+            result[phase] = Object.entries(counts[phase])
+                .map(([feature, count]) => ({ feature: feature, label: this.featureLabel(feature, user), count: count }))
+                .sort((a, b) => b.count - a.count)
+                .slice(0, 3);
+        });
+        return result;
+    },
+
+    // Average sleep and weight, and how many days had sex logged, per phase:
+    // { phase: { sleep, sleepDays, weight, weightDays, sexDays } } (averages null without data)
+    averagesByPhase(entries) {
+        const result = {};
+        entries.forEach(e => {
+            if (!result[e.phase]) result[e.phase] = { sleepTotal: 0, sleepDays: 0, weightTotal: 0, weightDays: 0, sexDays: 0 };
+            const r = result[e.phase];
+            if (e.log.sleep !== undefined) { r.sleepTotal += e.log.sleep; r.sleepDays++; }
+            if (e.log.weight !== undefined) { r.weightTotal += e.log.weight; r.weightDays++; }
+            if (e.log.sex) r.sexDays++;
+        });
+        Object.keys(result).forEach(phase => {
+            const r = result[phase];
+            result[phase] = {
+                sleep: r.sleepDays ? Math.round(r.sleepTotal / r.sleepDays * 10) / 10 : null,
+                sleepDays: r.sleepDays,
+                weight: r.weightDays ? r.weightTotal / r.weightDays : null,
+                weightDays: r.weightDays,
+                sexDays: r.sexDays
+            };
+        });
+        return result;
+    }
+};
+
+// --- LOGIC: TRENDS ---
+// Series for the Insights chart. Cycle and period lengths are one point per
+// cycle (from CycleStats.buildReport, so pregnancies are left out the same
+// way); symptoms and moods are counted per calendar month.
+const Trends = {
+    RANGES: { 3: 'Last 3 months', 6: 'Last 6 months', 12: 'Last 12 months', all: 'All time' },
+    METRICS: {
+        cycle: { label: 'Cycle length', type: 'line', band: true },
+        period: { label: 'Period length', type: 'line', band: true },
+        symptoms: { label: 'Symptoms logged', type: 'bar', band: true },
+        moods: { label: 'Moods', type: 'stacked', band: false }
+    },
+
+    // First day of the range, or null for all time
+    rangeStart(range, todayStr) {
+        if (range === 'all') return null;
+        return LocalDate.addMonths(todayStr, -Number(range));
+    },
+
+    /**
+     * { points, stats } for one metric. Each point is { date, axisLabel,
+     * value, text } and, for moods, parts: [{ key, label, value }] in the
+     * profile's mood order. stats (see CycleStats.describe) is null for
+     * moods and for an empty series.
+     */
+    series(user, metric, range, todayStr) {
+        const from = this.rangeStart(range, todayStr);
+        const points = metric === 'cycle' || metric === 'period'
+            ? this.cyclePoints(user, metric, from, todayStr)
+            : this.monthPoints(user, metric, from, todayStr);
+        const values = points.map(p => p.value);
+        return {
+            points: points,
+            stats: this.METRICS[metric].band && values.length ? CycleStats.describe(values) : null
+        };
+    },
+
+    cyclePoints(user, metric, from, todayStr) {
+        const report = CycleStats.buildReport(user, from || '0000-01-01', todayStr);
+        return report.cycles
+            .map(row => ({ row: row, value: metric === 'cycle' ? row.cycleLength : row.periodLength }))
+            // Longer "periods" are an end date that was never logged
+            .filter(({ value }) => value !== null && (metric === 'cycle' || value <= PhaseEngine.MAX_PERIOD_LENGTH))
+            .map(({ row, value }) => ({
+                date: row.startDate,
+                axisLabel: this.formatDate(row.startDate, { month: 'short', day: 'numeric' }),
+                value: value,
+                text: `${metric === 'cycle' ? 'Cycle' : 'Period'} from ${this.formatDate(row.startDate, { month: 'short', day: 'numeric', year: 'numeric' })}: ${value} day${value === 1 ? '' : 's'}`
+            }));
+    },
+
+    // One point per month from the range start (or the first record) to this month, empty months included
+    monthPoints(user, metric, from, todayStr) {
+        const logs = user.logs || {};
+        const dates = Object.keys(logs).sort();
+        const first = from || [dates[0], ...user.cycles.map(c => c.startDate)].filter(Boolean).sort()[0];
+        if (!first) return [];
+
+        const moods = Vocabulary.get(user, 'moods');
+        const points = [];
+        for (let month = first.slice(0, 7); month <= todayStr.slice(0, 7); month = this.nextMonth(month)) {
+            const inMonth = dates.filter(date => date.startsWith(month) && (!from || date >= from)).map(date => logs[date]);
+            const name = this.formatDate(`${month}-01`, { month: 'long', year: 'numeric' });
+            const point = { date: `${month}-01`, axisLabel: this.formatDate(`${month}-01`, { month: 'short', year: 'numeric' }) };
+
+            if (metric === 'symptoms') {
+                point.value = inMonth.reduce((sum, log) => sum + (log.symptoms || []).length, 0);
+                point.text = `${name}: ${point.value} symptom${point.value === 1 ? '' : 's'} logged`;
+            } else {
+                point.parts = moods
+                    .map(m => ({ key: m.key, label: `${m.emoji || Vocabulary.DEFAULT_EMOJI} ${m.label}`, value: inMonth.filter(log => log.mood === m.key).length }))
+                    .filter(part => part.value > 0);
+                point.value = point.parts.reduce((sum, part) => sum + part.value, 0);
+                point.text = point.value
+                    ? `${name}: ${point.parts.map(part => `${part.label} ${part.value}`).join(', ')}`
+                    : `${name}: no moods logged`;
+            }
+            points.push(point);
+        }
+        return points;
+    },
+
+    nextMonth(month) {
+        const [year, m] = month.split('-').map(Number);
+        return m === 12 ? `${year + 1}-01` : `${year}-${String(m + 1).padStart(2, '0')}`;
+    },
+
+    formatDate(dateStr, options) {
+        return LocalDate.display(dateStr, options);
+    }
+};
+
+// --- DATA: CALENDAR EXPORT ---
+// Builds an iCalendar (RFC 5545) file of logged periods plus the predicted
+// periods and fertile windows shown on the calendar. Every event has a UID
+// derived from the profile and what it describes, so importing a newer
+// export updates the events from an older one instead of duplicating them.
+const CalendarExport = {
+    PRODID: '-//CycleSync//Cycle Forecast//EN',
+    UID_DOMAIN: 'cyclesync.app',
+    REMINDER_HOUR: 9, // Alarms fire at 9:00 local time
+
+    /**
+     * options: { predictions: bool, fertile: bool, reminderDays: null | number }
+     * reminderDays adds an alarm that many days before each predicted period
+     * and fertile window (0 = the morning of the day itself).
+     */
+    build(user, options = {}) {
+        const cycles = [...user.cycles].sort((a, b) => LocalDate.compare(b.startDate, a.startDate));
+        const now = new Date();
+        const forecast = PhaseEngine.isPaused(user) ? [] : PhaseEngine.forecast(cycles, PhaseEngine.FORECAST_CYCLES, now);
+        const stamp = now.toISOString().replace(/[-:]/g, '').split('.')[0] + 'Z';
+        // Export time in minutes: each export supersedes the events of the last one
+        const sequence = Math.floor(now.getTime() / 60000);
+        const events = [];
+        const add = (key, summary, start, end, description, alarm) => {
+            const lines = [
+                'BEGIN:VEVENT',
+                `UID:${key}-${user.id}@${this.UID_DOMAIN}`,
+                `DTSTAMP:${stamp}`,
+                `SEQUENCE:${sequence}`,
+                `DTSTART;VALUE=DATE:${this.formatDate(start)}`,
+                // DTEND is exclusive for all-day events
+                `DTEND;VALUE=DATE:${this.formatDate(CyclePredictor.addDays(end, 1))}`,
+                `SUMMARY:${this.escapeText(summary)}`,
+                'TRANSP:TRANSPARENT'
+            ];
+            if (description) lines.push(`DESCRIPTION:${this.escapeText(description)}`);
+            if (alarm && options.reminderDays !== null && options.reminderDays !== undefined) {
+                lines.push(
+                    'BEGIN:VALARM',
+                    'ACTION:DISPLAY',
+                    `DESCRIPTION:${this.escapeText(alarm)}`,
+                    `TRIGGER:${this.formatDuration(this.REMINDER_HOUR - 24 * options.reminderDays)}`,
+                    'END:VALARM'
+                );
+            }
+            lines.push('END:VEVENT');
+            events.push(...lines);
+        };
+
+        const pregnancy = Pregnancy.status(user) === 'pregnant' ? Pregnancy.current(user) : null;
+        if (pregnancy) {
+            const due = LocalDate.parse(pregnancy.dueDate);
+            add(`due-date-${pregnancy.lastPeriod}`, 'Due date', due, due, 'Estimated due date.');
+        }
+
+        const periodLength = PhaseEngine.estimatePeriodLength(cycles);
+        cycles.forEach(c => {
+            const start = LocalDate.parse(c.startDate);
+            const end = c.endDate ? LocalDate.parse(c.endDate) : CyclePredictor.addDays(start, periodLength - 1);
+            add(`period-${c.startDate}`, 'Period', start, end, c.endDate ? '' : 'Ongoing; end date estimated.');
+        });
+
+        const today = LocalDate.startOfDay(now);
+        forecast.forEach(f => {
+            if (options.predictions !== false && f.predicted) {
+                add(
+                    `predicted-period-${f.cycle}`, 'Period (predicted)', f.start, f.periodEnd,
+                    `Most likely start. Could begin between ${this.formatReadable(f.early)} and ${this.formatReadable(f.late)}.`,
+                    'Your period is due soon.'
+                );
+            }
+        });
+
+        // The pill, patch and ring bring withdrawal bleeds on their own schedule instead
+        if (options.predictions !== false && Contraception.replacesCycle(user)) {
+            Contraception.bleeds(Contraception.get(user), LocalDate.today(now)).forEach(b => {
+                add(
+                    `withdrawal-bleed-${b.start}`, 'Withdrawal bleed (predicted)', LocalDate.parse(b.start), LocalDate.parse(b.end),
+                    'Expected in the break of your pack, patch or ring schedule.',
+                    'Your withdrawal bleed is due soon.'
+                );
+            });
+        }
+
+        // Past fertile windows are of no use in a calendar
+        if (options.fertile !== false) {
+            // Keyed by cycle like the predicted periods, so a window passing never renames the rest
+            FertilityAwareness.windows(user).filter(w => w.status === 'predicted' && w.end >= today).forEach(w => {
+                add(
+                    `fertile-window-${w.cycle}`, 'Fertile window (predicted)', w.start, w.end,
+                    `Estimated ovulation: ${this.formatReadable(w.ovulation)}.`,
+                    'Your fertile window is starting.'
+                );
+            });
+        }
+
+        const lines = [
+            'BEGIN:VCALENDAR',
+            'VERSION:2.0',
+            `PRODID:${this.PRODID}`,
+            'CALSCALE:GREGORIAN',
+            'METHOD:PUBLISH',
+            `X-WR-CALNAME:${this.escapeText(`CycleSync – ${user.name}`)}`,
+            ...events,
+            'END:VCALENDAR'
+        ];
+        return lines.map(line => this.foldLine(line)).join('\r\n') + '\r\n';
+    },
+
+    // Dates here are local midnights (see LocalDate)
+    formatDate(date) {
+        return LocalDate.format(date).replace(/-/g, '');
+    },
+
+    formatReadable(date) {
+        return date.toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+    },
+
+    // Signed hour offset as an RFC 5545 duration, e.g. -39 -> -P1DT15H
+    formatDuration(hours) {
+        const sign = hours < 0 ? '-' : '';
+        const abs = Math.abs(hours);
+        const days = Math.floor(abs / 24);
+        const rest = abs % 24;
+        return `${sign}P${days ? days + 'D' : ''}${rest || !days ? `T${rest}H` : ''}`;
+    },
+
+    escapeText(text) {
+        return String(text)
+            .replace(/\\/g, '\\\\')
+            .replace(/;/g, '\\;')
+            .replace(/,/g, '\\,')
+            .replace(/\r?\n/g, '\\n');
+    },
+
+    // Content lines may not exceed 75 octets; longer ones continue on lines starting with a space
+    foldLine(line) {
+        const encoder = new TextEncoder();
+        const parts = [];
+        let current = '';
+        let size = 0;
+        for (const char of line) {
+            const bytes = encoder.encode(char).length;
+            const limit = parts.length === 0 ? 75 : 74; // Continuations spend one octet on the space
+            if (size + bytes > limit) {
+                parts.push(current);
+                current = '';
+                size = 0;
+            }
+            current += char;
+            size += bytes;
+        }
+        parts.push(current);
+        return parts.join('\r\n ');
+    }
+};
+
+// --- DATA: CSV EXPORT / IMPORT ---
+// Spreadsheet-friendly files: one for periods, one for daily logs. Imports
+// go through a column-mapping step, since other trackers name and order
+// their columns differently; rows that can't be used are reported, not guessed.
+const CsvTransfer = {
+    // Flow words other trackers use, mapped onto ours
+    FLOW_ALIASES: { light: 'low', spotting: 'low', moderate: 'medium', normal: 'medium', heavy: 'high' },
+    DATE_FORMATS: { ymd: 'YYYY-MM-DD', dmy: 'DD/MM/YYYY', mdy: 'MM/DD/YYYY' },
+    FORMULA_START: /^[=+\-@]/, // Spreadsheets run cells starting like this as formulas
+
+    FIELDS: {
+        cycles: [
+            { key: 'startDate', label: 'Period start', required: true, aliases: ['start date', 'start', 'period start', 'first day', 'startdate'] },
+            { key: 'endDate', label: 'Period end', aliases: ['end date', 'end', 'period end', 'last day', 'enddate'] }
+        ],
+        logs: [
+            { key: 'date', label: 'Date', required: true, aliases: ['date', 'day', 'log date'] },
+            { key: 'mood', label: 'Mood', aliases: ['mood', 'feeling'] },
+            { key: 'flow', label: 'Flow', aliases: ['flow', 'bleeding'] },
+            { key: 'symptoms', label: 'Symptoms', aliases: ['symptoms', 'symptom'] },
+            { key: 'tags', label: 'Tags', aliases: ['tags', 'tag', 'labels'] },
+            { key: 'medications', label: 'Medications', aliases: ['medications', 'medication', 'meds', 'pills'] },
+            { key: 'sex', label: 'Sex', aliases: ['sex', 'sexual activity', 'intercourse'] },
+            { key: 'weight', label: 'Weight (kg)', aliases: ['weight kg', 'weight (kg)', 'weight', 'kg'] },
+            { key: 'sleep', label: 'Sleep (hours)', aliases: ['sleep hours', 'sleep (hours)', 'sleep', 'hours slept'] },
+            { key: 'bbt', label: 'BBT (°C)', aliases: ['bbt c', 'bbt (°c)', 'bbt', 'temperature', 'basal body temperature'] },
+            { key: 'mucus', label: 'Cervical mucus', aliases: ['cervical mucus', 'mucus', 'cm'] },
+            { key: 'pill', label: 'Pill', aliases: ['pill', 'pill taken', 'birth control'] },
+            { key: 'note', label: 'Note', aliases: ['note', 'notes', 'comment', 'comments'] }
+        ]
+    },
+
+    // --- Export ---
+    exportCycles(user) {
+        const rows = [...user.cycles]
+            .sort((a, b) => LocalDate.compare(a.startDate, b.startDate))
+            .map(c => [c.startDate, c.endDate || '']);
+        return this.stringify([['start_date', 'end_date'], ...rows]);
+    },
+
+    exportLogs(user) {
+        const rows = Object.keys(user.logs || {}).sort().map(date => {
+            const log = user.logs[date];
+            const list = values => (values || []).join('; ');
+            const number = value => value === undefined ? '' : value;
+            return [date, log.mood || '', log.flow || '', list(log.symptoms), list(log.tags), list(log.medications),
+                log.sex || '', number(log.weight), number(log.sleep), number(log.bbt), log.mucus || '', log.pill || '', log.note || ''];
+        });
+        const header = ['date', 'mood', 'flow', 'symptoms', 'tags', 'medications', 'sex', 'weight_kg', 'sleep_hours', 'bbt_c', 'cervical_mucus', 'pill', 'note'];
+        return this.stringify([header, ...rows]);
+    },
+
+    // Text that looks like a formula (notes, tags, custom labels) gets a
+    // leading apostrophe so spreadsheets show it as text; readRows drops it
+    stringify(rows) {
+        const text = value => typeof value === 'string' && this.FORMULA_START.test(value) ? `'${value}` : String(value);
+        const cell = value => /[",\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+        return rows.map(row => row.map(v => cell(text(v))).join(',')).join('\r\n') + '\r\n';
+    },
+
+    // --- Import ---
+    // RFC 4180 parsing; the delimiter (comma, semicolon or tab) is taken from the header line
+    parse(text) {
+        text = text.replace(/^\uFEFF/, ''); // Byte-order mark added by Excel
+        const firstLine = text.split(/\r?\n/, 1)[0];
+        const delimiter = [',', ';', '\t'].reduce((best, d) =>
+            firstLine.split(d).length > firstLine.split(best).length ? d : best, ',');
+
+        const rows = [];
+        let row = [];
+        let field = '';
+        let quoted = false;
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+            if (quoted) {
+                if (char === '"' && text[i + 1] === '"') { field += '"'; i++; }
+                else if (char === '"') quoted = false;
+                else field += char;
+            } else if (char === '"') {
+                quoted = true;
+            } else if (char === delimiter) {
+                row.push(field); field = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') i++;
+                row.push(field); rows.push(row);
+                row = []; field = '';
+            } else {
+                field += char;
+            }
+        }
+        if (field || row.length) { row.push(field); rows.push(row); }
+        // Spreadsheets often leave blank lines at the end
+        return rows.filter(r => r.some(v => v.trim() !== ''));
+    },
+
+    normalizeHeader(header) {
+        return header.trim().toLowerCase().replace(/[_\-]+/g, ' ').replace(/\s+/g, ' ');
+    },
+
+    // Column index per field key (-1 when not in the file), matched by header name
+    guessMapping(headers, kind) {
+        const names = headers.map(h => this.normalizeHeader(h));
+        const mapping = {};
+        this.FIELDS[kind].forEach(field => {
+            mapping[field.key] = names.findIndex(n => field.aliases.includes(n));
+        });
+        return mapping;
+    },
+
+    // A file with a date column plus any log column is taken for daily logs
+    guessKind(headers) {
+        const logs = this.guessMapping(headers, 'logs');
+        return logs.date !== -1 && Object.keys(logs).some(key => key !== 'date' && logs[key] !== -1) ? 'logs' : 'cycles';
+    },
+
+    // Returns YYYY-MM-DD, or null when the value isn't a real date in that format
+    parseDate(value, format) {
+        const match = value.trim().match(/^(\d{1,4})[-/.](\d{1,2})[-/.](\d{1,4})$/);
+        if (!match) return null;
+        const [a, b, c] = match.slice(1);
+        // A leading four-digit year is unambiguous whatever format was chosen
+        const [y, m, d] = a.length === 4 || format === 'ymd' ? [a, b, c] : format === 'dmy' ? [c, b, a] : [c, a, b];
+        if (y.length !== 4) return null;
+        const date = `${y}-${m.padStart(2, '0')}-${d.padStart(2, '0')}`;
+        return Backup.isDateString(date) ? date : null;
+    },
+
+    /**
+     * Turns data rows into records using the chosen column mapping. Moods
+     * must be ones the profile knows (by name); symptoms, tags and
+     * medications may be new. Weight is read in kg, sleep in hours and BBT in °C.
+     * Returns { records, rejected } where each record carries the 1-based
+     * file line it came from and each rejection is { line, reason }.
+     */
+    readRows(rows, kind, mapping, dateFormat, user = null) {
+        const records = [];
+        const rejected = [];
+        const today = LocalDate.today();
+        const value = (row, key) => {
+            if (mapping[key] === -1 || mapping[key] === undefined) return '';
+            const cell = (row[mapping[key]] || '').trim();
+            return cell.startsWith("'") && this.FORMULA_START.test(cell.slice(1)) ? cell.slice(1) : cell; // See stringify
+        };
+
+        rows.forEach((row, i) => {
+            const line = i + 2; // Line 1 is the header
+            const reject = reason => rejected.push({ line: line, reason: reason });
+
+            if (kind === 'cycles') {
+                const startDate = this.parseDate(value(row, 'startDate'), dateFormat);
+                if (!startDate) return reject(`"${value(row, 'startDate')}" is not a valid start date.`);
+                let endDate = null;
+                if (value(row, 'endDate')) {
+                    endDate = this.parseDate(value(row, 'endDate'), dateFormat);
+                    if (!endDate) return reject(`"${value(row, 'endDate')}" is not a valid end date.`);
+                }
+                records.push({ line: line, startDate: startDate, endDate: endDate });
+                return;
+            }
+
+            const date = this.parseDate(value(row, 'date'), dateFormat);
+            if (!date) return reject(`"${value(row, 'date')}" is not a valid date.`);
+            if (date > today) return reject('The date is in the future.');
+
+            const mood = Vocabulary.toKey(value(row, 'mood')) || null;
+            if (mood && !Vocabulary.find(user, 'moods', mood)) return reject(`Unknown mood "${value(row, 'mood')}".`);
+
+            let flow = value(row, 'flow').toLowerCase() || null;
+            if (flow) flow = this.FLOW_ALIASES[flow] || flow;
+            if (flow && !Backup.FLOWS.includes(flow)) return reject(`Unknown flow "${flow}".`);
+
+            const list = key => value(row, key).split(/[;|,]/).map(s => Vocabulary.toKey(s)).filter(Boolean);
+            const symptoms = list('symptoms');
+            const tags = list('tags');
+
+            const sex = value(row, 'sex').toLowerCase();
+            const mucus = value(row, 'mucus').toLowerCase().replace(/[\s-]+/g, '');
+            const number = key => value(row, key) === '' ? undefined : Number(value(row, key).replace(',', '.'));
+            const log = LogFields.clean({
+                mood: mood, flow: flow, symptoms: symptoms, tags: tags,
+                medications: list('medications'), sex: sex || undefined,
+                weight: number('weight'), sleep: number('sleep'), note: value(row, 'note'),
+                bbt: number('bbt'), mucus: mucus || undefined,
+                pill: value(row, 'pill').toLowerCase() || undefined
+            });
+            if (sex && !LogFields.isOption(LogFields.SEX, sex)) return reject(`Unknown sex value "${value(row, 'sex')}" (use protected or unprotected).`);
+            const invalid = LogFields.invalid(log);
+            if (invalid.length) return reject(`"${value(row, invalid[0])}" is not a valid value for ${this.FIELDS.logs.find(f => f.key === invalid[0]).label}.`);
+
+            const extras = Object.keys(log).filter(key => !['mood', 'flow', 'symptoms', 'tags'].includes(key));
+            if (!mood && !flow && symptoms.length === 0 && tags.length === 0 && extras.length === 0) return reject('Nothing to log: the row is empty.');
+            records.push({ line: line, date: date, log: log });
+        });
+        return { records: records, rejected: rejected };
+    }
+};
+
+// --- REMINDERS ---
+// Rules live on each profile (user.reminders, keyed by type). The page turns
+// them into a schedule of plain notifications for the next two weeks and
+// hands it to the service worker, which shows each one on time through
+// notification triggers or periodic background sync where the browser has
+// them, and otherwise when the app is next opened (catch-up).
+const Reminders = {
+    SYNC_TAG: 'cyclesync-reminders',
+    HORIZON_DAYS: 14,
+    CATCH_UP_MS: 24 * 60 * 60 * 1000, // Missed reminders older than a day are dropped
+    DELIVERED_KEY: 'cyclesync_reminders_delivered', // Fallback bookkeeping without a service worker
+    refreshTimer: null,
+
+    TYPES: {
+        period:   { label: 'Period coming up', defaults: { enabled: true, daysBefore: 2, time: '09:00' } },
+        fertile:  { label: 'Fertile window starts', defaults: { enabled: false, time: '09:00' } },
+        log:      { label: 'Daily log nudge', defaults: { enabled: false, time: '20:00' } },
+        late:     { label: 'Late period alert', defaults: { enabled: true, daysLate: 1, time: '09:00' } },
+        pill:     { label: 'Pill reminder', defaults: { enabled: false, time: '21:00' } },
+        refill:   { label: 'Pill refill', defaults: { enabled: true, daysBefore: 7, time: '09:00' } },
+        method:   { label: 'Pack, patch, ring & IUD checks', defaults: { enabled: true, time: '09:00' } },
+        symptoms: { label: 'Symptom heads-up', defaults: { enabled: true, time: '19:00' } }
+    },
+
+    // Every rule type with the profile's settings over the defaults.
+    // quietStart/quietEnd ('HH:MM', both or neither) hold reminders until the quiet hours end.
+    getRules(user) {
+        const saved = user.reminders || {};
+        const rules = {};
+        Object.keys(this.TYPES).forEach(type => {
+            rules[type] = { quietStart: null, quietEnd: null, ...this.TYPES[type].defaults, ...saved[type] };
+        });
+        return rules;
+    },
+
+    // Whether an imported user.reminders holds rules getRules() and the
+    // scheduler can read. Unknown types are ignored, as getRules() does.
+    isValid(reminders) {
+        if (!reminders || typeof reminders !== 'object' || Array.isArray(reminders)) return false;
+        const isTime = value => typeof value === 'string' && /^([01]\d|2[0-3]):[0-5]\d$/.test(value);
+        const isDays = value => value === undefined || (Number.isInteger(value) && value >= 0 && value <= this.HORIZON_DAYS);
+        return Object.keys(this.TYPES).every(type => {
+            const rule = reminders[type];
+            if (rule === undefined) return true;
+            if (!rule || typeof rule !== 'object' || Array.isArray(rule)) return false;
+            return (rule.enabled === undefined || typeof rule.enabled === 'boolean') &&
+                (rule.time === undefined || isTime(rule.time)) &&
+                isDays(rule.daysBefore) && isDays(rule.daysLate) &&
+                [rule.quietStart, rule.quietEnd].every(t => t === undefined || t === null || isTime(t));
+        });
+    },
+
+    saveRule(user, type, changes) {
+        if (!user.reminders) user.reminders = {};
+        user.reminders[type] = { ...this.getRules(user)[type], ...changes };
+        return Storage.putProfile(user).then(() => this.sync());
+    },
+
+    // 'YYYY-MM-DD' + 'HH:MM' as a local time, then pushed past quiet hours
+    at(dateStr, rule) {
+        const when = new Date(`${dateStr}T${rule.time}:00`);
+        if (!rule.quietStart || !rule.quietEnd || rule.quietStart === rule.quietEnd) return when;
+
+        const time = rule.time;
+        const wraps = rule.quietStart > rule.quietEnd; // e.g. 22:00–07:00
+        const quiet = wraps ? time >= rule.quietStart || time < rule.quietEnd
+                            : time >= rule.quietStart && time < rule.quietEnd;
+        if (!quiet) return when;
+        const end = new Date(`${dateStr}T${rule.quietEnd}:00`);
+        if (end <= when) end.setDate(end.getDate() + 1);
+        return end;
+    },
+
+    /**
+     * The schedule for all profiles: [{ id, userId, type, at (ms), title, body, url }].
+     * Ids are stable per profile, rule and day so re-scheduling never repeats a reminder.
+     * Profiles behind a PIN or passcode get a generic text on the lock screen.
+     */
+    build(users, now = new Date()) {
+        const items = [];
+        const today = LocalDate.format(now);
+        const horizon = now.getTime() + this.HORIZON_DAYS * LocalDate.MS_PER_DAY;
+
+        users.forEach(user => {
+            const rules = this.getRules(user);
+            const isPrivate = !!AppState.lockConfig || AppState.hasProfilePin(user);
+            const title = users.length > 1 && !isPrivate ? `CycleSync · ${user.name}` : 'CycleSync';
+            const add = (type, dateStr, body, url = '#dashboard') => {
+                const rule = rules[type];
+                if (!rule.enabled) return;
+                const at = this.at(dateStr, rule).getTime();
+                if (at > horizon) return;
+                items.push({
+                    id: `${user.id}:${type}:${dateStr}`,
+                    userId: user.id,
+                    type: type,
+                    at: at,
+                    title: title,
+                    body: isPrivate ? 'You have a reminder. Open CycleSync to see it.' : body,
+                    url: url
+                });
+            };
+            const days = Array.from({ length: this.HORIZON_DAYS + 1 }, (_, i) => LocalDate.addDays(today, i));
+
+            // Daily rules
+            const contraception = Contraception.get(user);
+            days.forEach(dateStr => {
+                if (!(dateStr === today && user.logs && user.logs[dateStr])) {
+                    add('log', dateStr, 'How are you feeling today? Take a moment to log it.', `#log/${dateStr}`);
+                }
+                // No pill in a 21/7 pack's break week
+                if (!(contraception && contraception.method === 'pill' && !Contraception.pillDue(contraception, dateStr))) {
+                    add('pill', dateStr, 'Time to take your pill.');
+                }
+            });
+
+            // Contraception schedule
+            if (contraception) {
+                Contraception.events(contraception, today, days[days.length - 1]).forEach(e => add('method', e.date, e.text));
+                const runOut = Contraception.runOutDate(contraception);
+                if (runOut && runOut >= today) {
+                    const refillOn = LocalDate.addDays(runOut, -rules.refill.daysBefore);
+                    // Counted in late: remind today rather than never
+                    add('refill', refillOn > today ? refillOn : today, `Your pills run out on ${UI.formatShortDate(LocalDate.parse(runOut))}. Get a refill, then update your pack count in Settings.`);
+                }
+            }
+
+            const cycles = [...user.cycles].sort((a, b) => LocalDate.compare(b.startDate, a.startDate));
+            const model = PhaseEngine.buildModel(cycles);
+            if (!model || PhaseEngine.isPaused(user)) return;
+            const prediction = model.prediction;
+            const shift = (date, n) => LocalDate.format(CyclePredictor.addDays(date, n));
+
+            const period = rules.period;
+            const n = period.daysBefore;
+            add('period', shift(prediction.mostLikely, -n),
+                n === 0 ? 'Your period is most likely to start today.'
+                        : `Your period is likely to start in ${n} day${n === 1 ? '' : 's'} (${UI.formatShortDate(prediction.mostLikely)}).`);
+
+            const fertile = FertilityAwareness.windows(user, 1).find(w => w.status === 'predicted' && LocalDate.format(w.start) >= today);
+            if (fertile) add('fertile', LocalDate.format(fertile.start), 'Your fertile window starts today.');
+
+            const late = rules.late.daysLate;
+            add('late', shift(prediction.late, late),
+                `Your period hasn't been logged and is ${late} day${late === 1 ? '' : 's'} past the expected range. Log it if it has started.`);
+
+            // The evening before, for what tends to show up the next day
+            const likely = PatternAnalyzer.forecastSymptoms(user, 3, now).filter(f => f.offset >= 1);
+            [1, 2, 3].forEach(offset => {
+                const names = likely.filter(f => f.offset === offset).map(f => f.label.toLowerCase());
+                if (names.length === 0) return;
+                const list = names.length > 1 ? `${names.slice(0, -1).join(', ')} and ${names[names.length - 1]}` : names[0];
+                add('symptoms', days[offset - 1], `Heads-up: ${list} likely tomorrow, going by your past cycles.`);
+            });
+        });
+
+        // Only what is still to come, or recent enough to catch up on
+        return items.filter(item => item.at > now.getTime() - this.CATCH_UP_MS).sort((a, b) => a.at - b.at);
+    },
+
+    // Rebuilds the schedule and hands it to the service worker. Called on
+    // launch (which is also the catch-up) and whenever cycles, logs or rules change.
+    sync() {
+        if (!('Notification' in window) || Notification.permission !== 'granted') return Promise.resolve();
+        if (AppState.isLocked()) return Promise.resolve(); // Nothing to read until unlocked
+        const items = this.build(AppState.data.users);
+
+        if (!('serviceWorker' in navigator)) {
+            this.deliverInPage(items);
+            return Promise.resolve();
+        }
+        return navigator.serviceWorker.ready.then(reg => {
+            if (reg.periodicSync) {
+                // Only granted to installed apps; catch-up on launch covers the rest
+                reg.periodicSync.register(this.SYNC_TAG, { minInterval: 60 * 60 * 1000 }).catch(() => {});
+            }
+            const worker = reg.active || navigator.serviceWorker.controller;
+            if (worker) worker.postMessage({ type: 'reminders-schedule', items: items });
+        }).catch(console.error);
+    },
+
+    // Without a service worker, show whatever is due now and remember it
+    deliverInPage(items) {
+        const delivered = JSON.parse(localStorage.getItem(this.DELIVERED_KEY) || '{}');
+        const now = Date.now();
+        items.filter(item => item.at <= now && !delivered[item.id]).forEach(item => {
+            new Notification(item.title, { body: item.body, tag: item.id });
+            delivered[item.id] = item.at;
+        });
+        Object.keys(delivered).forEach(id => {
+            if (delivered[id] < now - this.CATCH_UP_MS) delete delivered[id];
+        });
+        localStorage.setItem(this.DELIVERED_KEY, JSON.stringify(delivered));
+    },
+
+    // Debounced, since one edit can touch cycles and logs together
+    refresh() {
+        clearTimeout(this.refreshTimer);
+        this.refreshTimer = setTimeout(() => this.sync(), 1000);
+    }
+};
+
+// --- DATA: EMOTIONAL SUPPORT ---
+const AffirmationLibrary = {
+    'Menstrual Phase': [
+        "It is productive to rest. You don't have to do it all today.",
+        "Listen to your body. Slow down and recharge.",
+        "Be gentle with yourself. You are doing enough."
+    ],
+    'Follicular Phase': [
+        "Your potential is limitless today.",
+        "Embrace your rising energy. Create something new!",
+        "You are glowing from the inside out."
+    ],
+    'Ovulation Phase': [
+        "You are magnetic and powerful.",
+        "Confidence looks good on you.",
+        "Connect with others and share your light."
+    ],
+    'Luteal Phase': [
+        "Honor your boundaries. It's okay to say no.",
+        "Your feelings are valid. Take care of your heart.",
+        "Turn inward and find your calm."
+    ],
+    'Late Phase': [
+        "Breathe. Stressing won't help. Trust your body.",
+        "Patience is a form of self-love."
+    ],
+    'Pregnancy': [
+        "Your body is doing something remarkable. Rest when it asks you to.",
+        "One day at a time is plenty.",
+        "Asking for help is a strength."
+    ],
+    'Postpartum': [
+        "Healing takes time. There is no schedule to keep.",
+        "You are learning every day, and that is enough.",
+        "Rest is part of recovery, not a reward for it."
+    ],
+    'Hormone Days': [
+        "Small routines add up. You're taking care of yourself.",
+        "Your energy is yours to spend however you like today.",
+        "Check in with yourself: what do you need right now?"
+    ],
+    'Break Week': [
+        "Slow down if you need to. A cozy evening counts as self-care.",
+        "Be gentle with your body this week.",
+        "You're right on schedule. Nothing to worry about."
+    ]
+};
+
+const PartnerMessages = {
+    'Menstrual Phase': "Hey! I'm on my period. Operating on low power mode today. Warm hugs and snacks would be amazing. 🍫❤️",
+    'Follicular Phase': "Feeling energized and creative today! Ready to take on the world. ✨",
+    'Ovulation Phase': "Feeling super confident and high energy today! 🌟 Let's do something fun!",
+    'Luteal Phase': "I'm in my Luteal phase (pre-period). My social battery is a bit low and I might need some extra patience today. 🔋💛",
+    'Late Phase': "My period is a bit late and I'm feeling a little stressed about it. Just a heads up! 🤍",
+    'Pregnancy': "Growing a human is tiring work today. A foot rub and some quiet time would mean a lot. 🤰💛",
+    'Postpartum': "Still recovering and running on little sleep. Could you take over something today so I can rest? 🤍",
+    'Hormone Days': "Having a steady day. Up for doing something together later? ✨",
+    'Break Week': "It's my break week, so I might be a bit low on energy. Snacks and a cozy night in would be perfect. 🍫❤️"
+};
+
+// --- ROUTER ---
+const Router = {
+    routes: {
+        '#dashboard': 'view-dashboard',
+        '#calendar': 'view-calendar',
+        '#analytics': 'view-analytics',
+        '#settings': 'view-settings',
+        '#learn': 'view-learn',
+        '#log': 'view-log',
+        '#report': 'view-report',
+        'default': 'view-dashboard'
+    },
+
+    init() {
+        window.addEventListener('hashchange', () => this.handleRoute());
+        this.handleRoute(); // Initial load
+    },
+
+    handleRoute() {
+        if (AppState.isLocked()) return; // Nothing renders until the passcode is entered
+
+        const hash = window.location.hash || '#dashboard';
+        const user = AppState.getCurrentUser();
+
+        // Guard: If no user, force onboarding
+        if (!user) {
+            this.showScreen('view-onboarding');
+            return;
+        }
+
+        this.showScreen('main-app'); // Ensure main app is visible
+
+        // Routes may carry a parameter, e.g. #log/2026-10-12
+        const [route, param] = hash.split('/');
+        const targetId = this.routes[route] || this.routes['default'];
+        
+        // Update Nav Active State
+        document.querySelectorAll('.nav-item').forEach(el => {
+            if(el.getAttribute('href') === route) el.classList.add('active');
+            else el.classList.remove('active');
+        });
+
+        // Show View
+        document.querySelectorAll('.view').forEach(el => el.classList.remove('active'));
+        const targetEl = document.getElementById(targetId);
+        if(targetEl) {
+            targetEl.classList.add('active');
+            // Trigger specific renderers
+            if(targetId === 'view-dashboard') UI.renderDashboard();
+            if(targetId === 'view-calendar') UI.renderCalendar();
+            if(targetId === 'view-analytics') UI.renderAnalytics();
+            if(targetId === 'view-log') UI.LogController.initForm(param);
+            if(targetId === 'view-report') UI.ReportController.render();
+            if(targetId === 'view-settings') UI.SettingsController.renderLogging();
+        }
+    },
+
+    showScreen(screenId) {
+        // Toggle between Onboarding and Main App
+        if(screenId === 'view-onboarding') {
+            document.getElementById('view-onboarding').classList.add('active');
+            document.getElementById('view-onboarding').classList.remove('hidden');
+            document.getElementById('main-app').classList.add('hidden');
+        } else {
+            document.getElementById('view-onboarding').classList.remove('active');
+            document.getElementById('view-onboarding').classList.add('hidden');
+            document.getElementById('main-app').classList.remove('hidden');
+        }
+    }
+};
+
+// --- VIEW CONTROLLER ---
+const UI = {
+    currentDate: new Date(), // For calendar navigation
+    calendarView: 'month',   // 'month' or 'year'
+    weekOffset: 0,           // Dashboard week strip, in weeks from this one
+    SWIPE_MIN_PX: 50,
+    currentPartnerMsg: "", // Store for sharing
+
+    init() {
+        // --- GLOBAL EVENT LISTENERS ---
+        
+        // Onboarding
+        document.getElementById('btn-create-profile').addEventListener('click', () => {
+            document.getElementById('new-profile-modal').classList.remove('hidden');
+        });
+        document.getElementById('btn-cancel-create').addEventListener('click', () => {
+            document.getElementById('new-profile-modal').classList.add('hidden');
+            this.clearCreateForm();
+        });
+        document.getElementById('btn-save-profile').addEventListener('click', () => {
+            const name = document.getElementById('input-name').value;
+            const date = document.getElementById('input-last-date').value;
+            if(name) {
+                AppState.addUser(name, date);
+                document.getElementById('new-profile-modal').classList.add('hidden');
+                this.clearCreateForm();
+                
+                // Instantly update all profile lists
+                this.renderProfileListOnboarding();
+                this.renderProfileManager();
+
+                // Close manager if it was open so user sees their new dashboard
+                document.getElementById('profile-manager-modal').classList.add('hidden');
+
+                // Redirect to dashboard and refresh UI
+                window.location.hash = '#dashboard';
+                Router.handleRoute(); 
+            }
+        });
+
+        // Manager
+        document.getElementById('btn-manage-profiles').addEventListener('click', () => {
+            this.renderProfileManager();
+            document.getElementById('profile-manager-modal').classList.remove('hidden');
+        });
+        document.getElementById('btn-close-manager').addEventListener('click', () => {
+            document.getElementById('profile-manager-modal').classList.add('hidden');
+        });
+        document.getElementById('btn-manager-add').addEventListener('click', () => {
+            document.getElementById('new-profile-modal').classList.remove('hidden');
+        });
+
+        // Dashboard Actions
+        document.getElementById('btn-log-period').addEventListener('click', () => {
+            if (AppState.isPeriodActive()) {
+                this.showConfirm('End Period?', 'Are you sure your period has ended?', () => {
+                    const today = LocalDate.today();
+                    const error = AppState.logPeriodEnd(today);
+                    if (error) alert(error);
+                    this.renderDashboard();
+                });
+            } else {
+                this.showConfirm('Log Period Start?', 'Is today the first day of your period?', () => {
+                    const today = LocalDate.today();
+                    const error = AppState.logPeriodStart(today);
+                    if (error) alert(error);
+                    this.renderDashboard();
+                });
+            }
+        });
+
+        // Pill check-in
+        document.querySelectorAll('#pill-checkin button').forEach(b => {
+            b.addEventListener('click', () => {
+                AppState.checkInPill(LocalDate.today(), b.dataset.pill);
+                this.renderContraceptionCard();
+            });
+        });
+
+        // Partner Share
+        document.getElementById('btn-partner-share').addEventListener('click', () => {
+            if (navigator.share) {
+                navigator.share({
+                    title: 'Cycle Update',
+                    text: this.currentPartnerMsg
+                }).catch(console.error);
+            } else {
+                // Fallback: Copy to clipboard
+                navigator.clipboard.writeText(this.currentPartnerMsg).then(() => {
+                    alert('Message copied to clipboard! Ready to paste to your partner.');
+                });
+            }
+        });
+
+        // Breathe Feature
+        document.getElementById('btn-start-breathe').addEventListener('click', () => {
+            this.BreatheController.start();
+        });
+        document.getElementById('btn-close-breathe').addEventListener('click', () => {
+            this.BreatheController.stop();
+        });
+
+        // Retroactive
+        document.getElementById('btn-retroactive').addEventListener('click', () => {
+             document.getElementById('retroactive-modal').classList.remove('hidden');
+        });
+        document.getElementById('btn-retro-cancel').addEventListener('click', () => {
+            document.getElementById('retroactive-modal').classList.add('hidden');
+        });
+        document.getElementById('btn-retro-save').addEventListener('click', () => {
+            const date = document.getElementById('retro-date-picker').value;
+            if(date) {
+                const error = AppState.logPeriodStart(date);
+                if (error) {
+                    alert(error);
+                    return;
+                }
+                document.getElementById('retroactive-modal').classList.add('hidden');
+                this.renderDashboard();
+            }
+        });
+
+        // Modal Confirm
+        document.getElementById('btn-confirm-no').addEventListener('click', () => this.hideConfirm());
+
+        // Calendar Nav
+        document.getElementById('btn-prev-month').addEventListener('click', () => this.stepCalendar(-1));
+        document.getElementById('btn-next-month').addEventListener('click', () => this.stepCalendar(1));
+        document.getElementById('btn-calendar-today').addEventListener('click', () => {
+            this.currentDate = new Date();
+            this.renderCalendar();
+        });
+        document.getElementById('btn-calendar-month').addEventListener('click', () => {
+            this.calendarView = 'month';
+            this.renderCalendar();
+        });
+        document.getElementById('btn-calendar-year').addEventListener('click', () => {
+            this.calendarView = 'year';
+            this.renderCalendar();
+        });
+        this.addSwipe(document.getElementById('calendar-body'), direction => this.stepCalendar(direction));
+
+        // Week strip
+        const stepWeek = direction => {
+            this.weekOffset += direction;
+            this.renderWeekStrip();
+        };
+        document.getElementById('btn-week-prev').addEventListener('click', () => stepWeek(-1));
+        document.getElementById('btn-week-next').addEventListener('click', () => stepWeek(1));
+        document.getElementById('btn-week-today').addEventListener('click', () => {
+            this.weekOffset = 0;
+            this.renderWeekStrip();
+        });
+        this.addSwipe(document.getElementById('week-strip'), stepWeek);
+
+        // --- SUB CONTROLLERS ---
+        this.LockController.init();
+        this.SettingsController.init();
+        this.LogController.init();
+        this.CycleEditorController.init();
+        this.ReportController.init();
+        this.RemindersController.init();
+        this.VocabularyController.init();
+        this.PregnancyController.init();
+        this.ContraceptionController.init();
+        this.TrendChartController.init();
+
+        // Reminders: hand the schedule to the service worker and catch up on missed ones
+        Reminders.sync();
+
+        // Initial Render
+        if (!AppState.getCurrentUser()) {
+             this.renderProfileListOnboarding();
+             Router.showScreen('view-onboarding');
+        } else {
+            Router.init();
+        }
+    },
+
+    clearCreateForm() {
+        document.getElementById('input-name').value = '';
+        document.getElementById('input-last-date').value = '';
+    },
+
+    showConfirm(title, msg, onYes) {
+        document.getElementById('confirm-title').innerText = title;
+        document.getElementById('confirm-msg').innerText = msg;
+        const modal = document.getElementById('confirm-modal');
+        modal.classList.remove('hidden');
+        
+        const yesBtn = document.getElementById('btn-confirm-yes');
+        const newYesBtn = yesBtn.cloneNode(true);
+        yesBtn.parentNode.replaceChild(newYesBtn, yesBtn);
+        
+        newYesBtn.addEventListener('click', () => {
+            onYes();
+            this.hideConfirm();
+        });
+    },
+
+    hideConfirm() {
+        document.getElementById('confirm-modal').classList.add('hidden');
+    },
+
+    // Resolves to the entered passcode, or null when cancelled. With
+    // `confirm`, the passcode must be typed twice and be at least 4 characters.
+    askPassphrase(title, msg, confirm = false) {
+        const modal = document.getElementById('passphrase-modal');
+        const input = document.getElementById('passphrase-input');
+        const repeat = document.getElementById('passphrase-confirm');
+        const error = document.getElementById('passphrase-error');
+
+        document.getElementById('passphrase-title').innerText = title;
+        document.getElementById('passphrase-msg').innerText = msg;
+        input.value = '';
+        repeat.value = '';
+        repeat.classList.toggle('hidden', !confirm);
+        error.classList.add('hidden');
+        modal.classList.remove('hidden');
+        input.focus();
+
+        return new Promise(resolve => {
+            // Fresh buttons drop listeners from earlier prompts
+            ['btn-passphrase-ok', 'btn-passphrase-cancel'].forEach(id => {
+                const btn = document.getElementById(id);
+                btn.parentNode.replaceChild(btn.cloneNode(true), btn);
+            });
+
+            document.getElementById('btn-passphrase-cancel').addEventListener('click', () => {
+                modal.classList.add('hidden');
+                resolve(null);
+            });
+            document.getElementById('btn-passphrase-ok').addEventListener('click', () => {
+                let problem = null;
+                if (!input.value) problem = 'Please enter a passcode.';
+                else if (confirm && input.value.length < 4) problem = 'Use at least 4 characters.';
+                else if (confirm && input.value !== repeat.value) problem = 'The passcodes do not match.';
+                if (problem) {
+                    error.innerText = problem;
+                    error.classList.remove('hidden');
+                    return;
+                }
+                modal.classList.add('hidden');
+                resolve(input.value);
+            });
+        });
+    },
+
+    // --- RENDERERS ---
+
+    // Resolves to the PIN for a protected profile ('' when it has none), or null if cancelled
+    requestProfilePin(user, title) {
+        if (!AppState.hasProfilePin(user)) return Promise.resolve('');
+        return this.askPassphrase(title, 'Enter the PIN for this profile.');
+    },
+
+    // PIN-protected profiles only show their initial to whoever is not using them
+    profileLabel(user, isActive) {
+        if (AppState.hasProfilePin(user) && !isActive) {
+            return '<span class="material-icons-round profile-lock-icon" title="PIN protected">lock</span>';
+        }
+        return this.escapeHtml(user.name);
+    },
+
+    renderProfileListOnboarding() {
+        const container = document.getElementById('profile-list');
+        container.innerHTML = '';
+        AppState.data.users.forEach((user, index) => {
+            const el = document.createElement('div');
+            el.className = 'profile-item';
+            el.innerHTML = `
+                <div class="profile-avatar">${this.escapeHtml(user.name.charAt(0))}</div>
+                <span>${this.profileLabel(user, false)}</span>
+            `;
+            el.onclick = () => {
+                this.requestProfilePin(user, 'Open Profile').then(pin => {
+                    if (pin === null) return;
+                    AppState.switchUser(index, pin).then(ok => {
+                        if (!ok) {
+                            alert('Wrong PIN.');
+                            return;
+                        }
+                        window.location.hash = '#dashboard';
+                        Router.init(); // Re-init router logic
+                    });
+                });
+            };
+            container.appendChild(el);
+        });
+    },
+
+    renderProfileManager() {
+        const container = document.getElementById('manager-profile-list');
+        container.innerHTML = '';
+        const currentIndex = AppState.data.currentUserIndex;
+
+        AppState.data.users.forEach((user, index) => {
+            const el = document.createElement('div');
+            el.className = 'profile-item';
+            if (index === currentIndex) el.classList.add('active-user');
+            
+            const isActive = index === currentIndex;
+            const avatar = `<div class="profile-avatar">${this.escapeHtml(user.name.charAt(0))}</div>`;
+            const name = `<span style="flex:1; text-align:left">${this.profileLabel(user, isActive)}</span>`;
+            const activeMark = isActive ? '<span class="material-icons-round" style="font-size:16px; margin-right:8px;">check_circle</span>' : '';
+            const pinBtn = isActive ? `<button class="btn-delete-profile btn-profile-pin" title="${AppState.hasProfilePin(user) ? 'Remove PIN' : 'Set PIN'}"><span class="material-icons-round">${AppState.hasProfilePin(user) ? 'lock' : 'lock_open'}</span></button>` : '';
+            const deleteBtn = `<button class="btn-delete-profile" title="Delete Profile"><span class="material-icons-round">delete</span></button>`;
+            
+            el.innerHTML = avatar + name + activeMark + pinBtn + deleteBtn;
+
+            if (isActive) {
+                el.querySelector('.btn-profile-pin').addEventListener('click', (e) => {
+                    e.stopPropagation();
+                    this.toggleProfilePin(user);
+                });
+            }
+            
+            const btnDel = el.querySelector('.btn-delete-profile:not(.btn-profile-pin)');
+            btnDel.addEventListener('click', (e) => {
+                e.stopPropagation(); 
+                const label = AppState.hasProfilePin(user) && !isActive ? 'this profile' : user.name;
+                this.showConfirm('Delete Profile?', `Delete ${label}? This cannot be undone.`, () => {
+                    this.requestProfilePin(user, 'Delete Profile').then(pin => {
+                        if (pin === null) return;
+                        AppState.deleteUser(index, pin).then(ok => {
+                            if (!ok) {
+                                alert('Wrong PIN. The profile was not deleted.');
+                                return;
+                            }
+                            if (!AppState.getCurrentUser()) {
+                                document.getElementById('profile-manager-modal').classList.add('hidden');
+                                Router.showScreen('view-onboarding');
+                                this.renderProfileListOnboarding();
+                            } else {
+                                // Refresh context
+                                Router.handleRoute(); // Refresh current view or redirect
+                                this.renderProfileManager();
+                            }
+                        });
+                    });
+                });
+            });
+
+            el.addEventListener('click', () => {
+                if (index !== currentIndex) {
+                    this.requestProfilePin(user, 'Switch Profile').then(pin => {
+                        if (pin === null) return;
+                        AppState.switchUser(index, pin).then(ok => {
+                            if (!ok) {
+                                alert('Wrong PIN.');
+                                return;
+                            }
+                            document.getElementById('profile-manager-modal').classList.add('hidden');
+                            // Force dashboard view and refresh
+                            window.location.hash = '#dashboard'; 
+                            // If we are already on dashboard, hashchange won't fire, so force update:
+                            Router.handleRoute();
+                            // Also explicitly update the header name right now to be sure
+                            const newUser = AppState.getCurrentUser();
+                            if(newUser) document.getElementById('header-username').innerText = newUser.name;
+                        });
+                    });
+                }
+            });
+
+            container.appendChild(el);
+        });
+    },
+
+    toggleProfilePin(user) {
+        if (AppState.hasProfilePin(user)) {
+            this.requestProfilePin(user, 'Remove PIN').then(pin => {
+                if (pin === null) return;
+                AppState.removeProfilePin(pin).then(ok => {
+                    if (!ok) alert('Wrong PIN.');
+                    this.renderProfileManager();
+                });
+            });
+            return;
+        }
+        this.askPassphrase('Set Profile PIN', 'Others on this device will need this PIN to open or delete your profile.', true).then(pin => {
+            if (!pin) return;
+            AppState.setProfilePin(pin).then(() => this.renderProfileManager());
+        });
+    },
+
+    renderDashboard() {
+        const currentUser = AppState.getCurrentUser();
+        if(currentUser) {
+            document.getElementById('greeting-text').innerText = `Hello, ${currentUser.name}`;
+            document.getElementById('header-username').innerText = currentUser.name;
+        }
+
+        this.renderSymptomForecast();
+        this.renderFertilityStatus();
+        this.renderContraceptionCard();
+        this.renderHealthFlags();
+        this.renderWeekStrip();
+        if (Pregnancy.status(currentUser)) return this.renderPregnancy(currentUser);
+        if (Contraception.replacesCycle(currentUser)) return this.renderContraception(currentUser);
+
+        const cycle = AppState.getLatestCycle();
+        const avgLength = AppState.getAverageCycleLength();
+        const phaseModel = AppState.getPhaseModel();
+        const prediction = phaseModel ? phaseModel.prediction : null;
+        
+        const circleGradient = document.getElementById('cycle-circle-gradient');
+        const btn = document.getElementById('btn-log-period');
+        const predText = document.getElementById('prediction-text');
+        const statusBadge = document.getElementById('cycle-status-badge');
+        btn.classList.remove('hidden'); // Hidden in pregnancy mode
+
+        if (!cycle) {
+            document.getElementById('cycle-day-count').innerText = "Day ?";
+            document.getElementById('cycle-phase-text').innerText = "No data yet";
+            btn.innerText = "Log Period Start";
+            btn.classList.remove('btn-secondary');
+            btn.classList.add('btn-primary');
+            circleGradient.style.background = `conic-gradient(#eee 0% 100%)`;
+            return;
+        }
+
+        const today = new Date();
+        const dayInCycle = LocalDate.daysBetween(cycle.startDate, today) + 1;
+        const midnight = LocalDate.startOfDay(today);
+        
+        document.getElementById('cycle-day-count').innerText = `Day ${dayInCycle}`;
+        
+        const phase = PhaseEngine.getPhase(phaseModel, dayInCycle, AppState.isPeriodActive(), today);
+        const colorA = PhaseEngine.getColor(phase);
+
+        document.getElementById('cycle-phase-text').innerText = phase;
+        
+        // Emotional Logic (Affirmation & Partner)
+        const affirmations = AffirmationLibrary[phase] || AffirmationLibrary['Menstrual Phase'];
+        // Pick random
+        const randomAffirmation = affirmations[Math.floor(Math.random() * affirmations.length)];
+        document.getElementById('affirmation-text').innerText = randomAffirmation;
+        
+        this.currentPartnerMsg = PartnerMessages[phase] || PartnerMessages['Menstrual Phase'];
+
+        if (AppState.isPeriodActive()) {
+            btn.innerText = "Log Period End";
+            btn.classList.remove('btn-primary');
+            btn.classList.add('btn-secondary');
+        } else {
+            btn.innerText = "Log Period Start";
+            btn.classList.add('btn-primary');
+            btn.classList.remove('btn-secondary');
+        }
+
+        const percent = Math.min((dayInCycle / avgLength) * 100, 100);
+        circleGradient.style.background = `conic-gradient(${colorA} 0% ${percent}%, #f0f0f0 ${percent}% 100%)`;
+
+        const daysUntil = LocalDate.daysBetween(midnight, prediction.mostLikely);
+        const range = `${this.formatShortDate(prediction.early)} – ${this.formatShortDate(prediction.late)}`;
+
+        if (midnight < prediction.early) {
+            predText.innerText = `Next period likely in ${daysUntil} days (${range}).`;
+            statusBadge.classList.add('hidden');
+        } else if (midnight <= prediction.late) {
+            predText.innerText = daysUntil === 0
+                ? `Period most likely today (expected ${range}).`
+                : `Period could start any day now (expected ${range}).`;
+            statusBadge.className = 'status-badge badge-green';
+            statusBadge.innerText = daysUntil === 0 ? 'Expected Today' : 'Due Now';
+            statusBadge.classList.remove('hidden');
+        } else {
+            const lateBy = Math.abs(daysUntil);
+            predText.innerText = `Period was expected ${range}, most likely ${lateBy} days ago.`;
+            statusBadge.className = 'status-badge badge-orange';
+            statusBadge.innerText = `${lateBy} days late`;
+            statusBadge.classList.remove('hidden');
+        }
+    },
+
+    // Pregnancy mode: weeks and trimester in the circle, no predictions or late badges
+    renderPregnancy(user) {
+        const pregnancy = Pregnancy.current(user);
+        const todayStr = LocalDate.today();
+        const btn = document.getElementById('btn-log-period');
+        const predText = document.getElementById('prediction-text');
+        const statusBadge = document.getElementById('cycle-status-badge');
+        const due = this.formatShortDate(LocalDate.parse(pregnancy.dueDate));
+        let phase;
+
+        if (Pregnancy.status(user) === 'pregnant') {
+            phase = 'Pregnancy';
+            const progress = Pregnancy.progress(pregnancy, todayStr);
+            const percent = Math.max(0, Math.min(progress.day / Pregnancy.TERM_DAYS * 100, 100));
+            document.getElementById('cycle-day-count').innerText = `Week ${progress.weeks}${progress.extraDays ? ` + ${progress.extraDays}` : ''}`;
+            document.getElementById('cycle-phase-text').innerText = progress.trimester;
+            document.getElementById('cycle-circle-gradient').style.background =
+                `conic-gradient(${PhaseEngine.getColor(phase)} 0% ${percent}%, #f0f0f0 ${percent}% 100%)`;
+            predText.innerText = progress.daysToGo > 0
+                ? `Due ${due}: ${progress.daysToGo} day${progress.daysToGo === 1 ? '' : 's'} to go. Cycle predictions are paused.`
+                : `Due date ${due} has passed. Cycle predictions are paused.`;
+            statusBadge.className = 'status-badge badge-green';
+            statusBadge.innerText = 'Pregnant';
+            btn.classList.add('hidden');
+        } else {
+            phase = 'Postpartum';
+            const weeks = Pregnancy.weeksPostpartum(pregnancy, todayStr);
+            document.getElementById('cycle-day-count').innerText = `Week ${weeks}`;
+            document.getElementById('cycle-phase-text').innerText = 'Postpartum';
+            document.getElementById('cycle-circle-gradient').style.background = `conic-gradient(${PhaseEngine.getColor(phase)} 0% 100%)`;
+            predText.innerText = 'Predictions restart from your first period. Log it when it comes.';
+            statusBadge.className = 'status-badge badge-green';
+            statusBadge.innerText = 'Postpartum';
+            btn.innerText = 'Log Period Start';
+            btn.classList.add('btn-primary');
+            btn.classList.remove('btn-secondary', 'hidden');
+        }
+        statusBadge.classList.remove('hidden');
+
+        const affirmations = AffirmationLibrary[phase];
+        document.getElementById('affirmation-text').innerText = affirmations[Math.floor(Math.random() * affirmations.length)];
+        this.currentPartnerMsg = PartnerMessages[phase];
+    },
+
+    // Pill, patch or ring: the day of the 28-day schedule in the circle and the
+    // next withdrawal bleed instead of natural phases and period predictions
+    renderContraception(user) {
+        const config = Contraception.get(user);
+        const todayStr = LocalDate.today();
+        const day = Contraception.dayOf(config, todayStr);
+        const btn = document.getElementById('btn-log-period');
+        const predText = document.getElementById('prediction-text');
+        const phase = day.active ? 'Hormone Days' : 'Break Week';
+        const percent = day.day / Contraception.SCHEDULE_DAYS * 100;
+
+        document.getElementById('cycle-day-count').innerText = `Day ${day.day}`;
+        document.getElementById('cycle-phase-text').innerText = Contraception.phaseName(config, day);
+        document.getElementById('cycle-circle-gradient').style.background =
+            `conic-gradient(${PhaseEngine.getColor(phase)} 0% ${percent}%, #f0f0f0 ${percent}% 100%)`;
+        document.getElementById('cycle-status-badge').classList.add('hidden');
+
+        // Bleeds are still logged with the period button
+        const active = AppState.isPeriodActive();
+        btn.innerText = active ? 'Log Period End' : 'Log Period Start';
+        btn.classList.toggle('btn-primary', !active);
+        btn.classList.toggle('btn-secondary', active);
+        btn.classList.remove('hidden');
+
+        const next = Contraception.bleeds(config, todayStr, 1)[0];
+        const date = dateStr => this.formatShortDate(LocalDate.parse(dateStr));
+        if (!next) {
+            predText.innerText = 'No scheduled bleed on a continuous schedule. Some spotting can still happen.';
+        } else if (next.start <= todayStr) {
+            predText.innerText = `Withdrawal bleed expected now, until about ${date(next.end)}.`;
+        } else {
+            predText.innerText = `Next withdrawal bleed expected ${date(next.start)} – ${date(next.end)}.`;
+        }
+
+        const affirmations = AffirmationLibrary[phase];
+        document.getElementById('affirmation-text').innerText = affirmations[Math.floor(Math.random() * affirmations.length)];
+        this.currentPartnerMsg = PartnerMessages[phase];
+    },
+
+    // Contraception card: today's pill check-in, missed-pill guidance and what's coming up
+    renderContraceptionCard() {
+        const card = document.getElementById('contraception-card');
+        const user = AppState.getCurrentUser();
+        const config = Contraception.get(user);
+        card.classList.toggle('hidden', !config);
+        if (!config) return;
+
+        const todayStr = LocalDate.today();
+        const date = dateStr => this.formatShortDate(LocalDate.parse(dateStr));
+        const log = AppState.getLog(todayStr) || {};
+        const checkin = document.getElementById('pill-checkin');
+        const dueToday = config.method === 'pill' && Contraception.pillDue(config, todayStr);
+        checkin.classList.toggle('hidden', !dueToday);
+        if (dueToday) {
+            const day = Contraception.dayOf(config, todayStr);
+            document.getElementById('pill-checkin-text').innerText = log.pill
+                ? `${LogFields.PILL[log.pill]} today.`
+                : `Did you take today's ${day.active ? '' : 'placebo '}pill (day ${day.day})?`;
+            checkin.querySelectorAll('button').forEach(b => b.classList.toggle('selected', b.dataset.pill === log.pill));
+        }
+
+        const guidance = Contraception.guidance(user, todayStr);
+        document.getElementById('pill-guidance').classList.toggle('hidden', !guidance);
+        if (guidance) {
+            document.getElementById('pill-guidance-title').innerText = guidance.count === 1 ? 'Missed one pill' : `Missed ${guidance.count} pills in a row`;
+            const list = document.getElementById('pill-guidance-steps');
+            list.innerHTML = '';
+            guidance.steps.forEach(step => {
+                const li = document.createElement('li');
+                li.innerText = step;
+                list.appendChild(li);
+            });
+        }
+
+        const upcoming = [];
+        const next = Contraception.events(config, LocalDate.addDays(todayStr, 1), LocalDate.addDays(todayStr, 31))[0];
+        if (next) upcoming.push(`${date(next.date)}: ${next.text.replace(/ today\.$/, '.')}`);
+        const runOut = Contraception.runOutDate(config);
+        if (runOut) {
+            upcoming.push(runOut > todayStr ? `Pills last until ${date(LocalDate.addDays(runOut, -1))}.` : 'Your pack count has run out. Update it in Settings after your refill.');
+        }
+        if (config.method === 'iud' && config.replaceBy) upcoming.push(`Replace by ${date(config.replaceBy)}.`);
+        document.getElementById('contraception-upcoming').innerText = upcoming.join(' ');
+    },
+
+    // Health flags: titles on the dashboard, the full explanations in Analytics
+    renderHealthFlags() {
+        const user = AppState.getCurrentUser();
+        const flags = user ? HealthFlags.check(user, LocalDate.today()) : [];
+
+        const summary = document.getElementById('health-flags-summary');
+        summary.innerHTML = '';
+        flags.forEach(flag => {
+            const li = document.createElement('li');
+            li.innerText = flag.title;
+            summary.appendChild(li);
+        });
+        document.getElementById('health-flags-card').classList.toggle('hidden', flags.length === 0);
+
+        const list = document.getElementById('health-flags-list');
+        list.innerHTML = flags.map(flag => `
+            <div class="health-flag">
+                <h4>${this.escapeHtml(flag.title)}</h4>
+                <p>${this.escapeHtml(flag.summary)}</p>
+                <p>${this.escapeHtml(flag.explanation)}</p>
+                <p class="health-flag-doctor"><span class="material-icons-round">medical_services</span> ${this.escapeHtml(flag.doctor)}</p>
+            </div>`).join('');
+        document.getElementById('health-flags-panel').classList.toggle('hidden', flags.length === 0);
+    },
+
+    // Fertility awareness card: where the current cycle stands on confirming ovulation
+    renderFertilityStatus() {
+        const card = document.getElementById('fertility-status');
+        const user = AppState.getCurrentUser();
+        const analyses = FertilityAwareness.isEnabled(user) && user.cycles.length ? FertilityAwareness.analyze(user) : [];
+        card.classList.toggle('hidden', analyses.length === 0);
+        if (analyses.length === 0) return;
+
+        const current = analyses[0];
+        const date = dateStr => this.formatShortDate(LocalDate.parse(dateStr));
+        const unit = LogFields.temperatureUnit(user);
+        const coverline = current.shift ? ` Coverline: ${LogFields.displayTemperature(current.shift.coverline, unit)} °${unit}.` : '';
+        let text;
+        if (current.status === 'confirmed') {
+            text = `Ovulation confirmed around ${date(current.ovulationDate)}: your temperature shift and mucus agree. ` +
+                `Fertile window this cycle: ${date(current.fertileStart)} – ${date(current.fertileEnd)}.${coverline}`;
+        } else if (current.status === 'temperature') {
+            text = `Temperature shift seen on ${date(current.shift.confirmedOn)}. Ovulation counts as confirmed once your mucus has dried up for three days after its peak.${coverline}`;
+        } else if (current.status === 'mucus') {
+            text = `Peak mucus day was ${date(current.peak.peakDate)}. Ovulation counts as confirmed after a temperature shift: three readings above the highest of the six before.`;
+        } else {
+            const readings = FertilityAwareness.observations(user, 'bbt', current.startDate, LocalDate.today()).length;
+            const next = FertilityAwareness.windows(user, 1).find(w => w.status === 'predicted');
+            text = `${readings} temperature reading${readings === 1 ? '' : 's'} this cycle. Ovulation isn't confirmed yet, so the predicted window is only an estimate.` +
+                (next ? ` Predicted fertile window: ${this.formatShortDate(next.start)} – ${this.formatShortDate(next.end)}.` : '');
+        }
+        document.getElementById('fertility-status-text').innerText = text;
+    },
+
+    // "Heads-up" card: what the user's own history says is likely in the next few days
+    renderSymptomForecast() {
+        const card = document.getElementById('symptom-forecast');
+        const list = document.getElementById('symptom-forecast-list');
+        const user = AppState.getCurrentUser();
+        const likely = user && user.cycles.length ? PatternAnalyzer.forecastSymptoms(user) : [];
+
+        list.innerHTML = '';
+        likely.forEach(f => {
+            const li = document.createElement('li');
+            li.innerText = f.text;
+            li.title = `Logged around this point in ${Math.round(f.share * 100)}% of your cycles`;
+            list.appendChild(li);
+        });
+        card.classList.toggle('hidden', likely.length === 0);
+    },
+
+    formatShortDate(date) {
+        return date.toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+    },
+
+    // For user-entered text placed into innerHTML
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.innerText = text;
+        return div.innerHTML.replace(/"/g, '&quot;'); // Safe inside attributes too
+    },
+
+    // What the calendar views need to colour days from..to (YYYY-MM-DD), built once per render
+    calendarContext(from, to) {
+        const user = AppState.getCurrentUser();
+        const contraception = Contraception.get(user);
+        const now = new Date();
+        return {
+            now: now,
+            today: LocalDate.today(now),
+            cycles: AppState.getCycles(),
+            forecast: AppState.getForecast(),
+            // Fertility awareness mode also marks past windows, confirmed ones apart
+            awareness: FertilityAwareness.isEnabled(user),
+            windows: user ? FertilityAwareness.windows(user) : [],
+            // Contraception mode: withdrawal bleeds from the schedule, and its change and check days
+            bleeds: Contraception.replacesCycle(user) ? Contraception.bleeds(contraception, LocalDate.today(now)) : [],
+            events: contraception ? Contraception.events(contraception, from, to) : []
+        };
+    },
+
+    // Adds the calendar's today / is-* classes and a title for one day (a local midnight)
+    markDay(el, ctx, cellDate) {
+        const today = ctx.now;
+        const dateStr = LocalDate.format(cellDate);
+        if (dateStr === ctx.today) el.classList.add('today');
+
+        // Period Logic: an open period runs through today
+        ctx.cycles.forEach(c => {
+            if (dateStr >= c.startDate && dateStr <= (c.endDate || ctx.today)) el.classList.add('is-period');
+        });
+
+        // Prediction Logic
+        if (cellDate > today) {
+            ctx.forecast.forEach(f => {
+                if (f.predicted) {
+                    if (cellDate >= f.early && cellDate <= f.late) el.classList.add('is-predicted');
+                    if (cellDate.getTime() === f.start.getTime()) el.classList.add('is-predicted-likely');
+                    if (cellDate >= f.start && cellDate <= f.periodEnd) el.classList.add('is-predicted-period');
+                }
+            });
+            ctx.bleeds.forEach(b => {
+                if (cellDate < LocalDate.parse(b.start) || cellDate > LocalDate.parse(b.end)) return;
+                el.classList.add('is-predicted-period');
+                el.title = 'Withdrawal bleed (predicted)';
+            });
+        }
+        const event = ctx.events.find(e => LocalDate.parse(e.date).getTime() === cellDate.getTime());
+        if (event) {
+            el.classList.add('has-method-event');
+            el.title = event.text.replace(/ today\.$/, '.');
+        }
+        ctx.windows.forEach(w => {
+            if (cellDate < w.start || cellDate > w.end || (!ctx.awareness && cellDate <= today)) return;
+            el.classList.add(w.status === 'confirmed' ? 'is-fertile-confirmed' : 'is-fertile');
+            el.title = w.status === 'confirmed' ? 'Fertile window (confirmed)' : 'Fertile window (predicted)';
+            if (cellDate.getTime() === w.ovulation.getTime()) {
+                el.classList.add('is-ovulation');
+                el.title = w.status === 'confirmed' ? 'Ovulation (confirmed)' : 'Ovulation (estimated)';
+            }
+        });
+    },
+
+    // Calendar steps: one month in month view, one year in year view
+    stepCalendar(direction) {
+        this.currentDate.setDate(1); // Month lengths differ; day 1 never spills over
+        if (this.calendarView === 'year') this.currentDate.setFullYear(this.currentDate.getFullYear() + direction);
+        else this.currentDate.setMonth(this.currentDate.getMonth() + direction);
+        this.renderCalendar();
+    },
+
+    renderCalendar() {
+        const grid = document.getElementById('calendar-grid');
+        grid.innerHTML = '';
+        const monthYear = document.getElementById('calendar-month-year');
+        const user = AppState.getCurrentUser();
+        const isYear = this.calendarView === 'year';
+        
+        const year = this.currentDate.getFullYear();
+        const month = this.currentDate.getMonth();
+        const monthNames = ["January", "February", "March", "April", "May", "June", "July", "August", "September", "October", "November", "December"];
+        monthYear.innerText = isYear ? `${year}` : `${monthNames[month]} ${year}`;
+
+        document.getElementById('calendar-month-view').classList.toggle('hidden', isYear);
+        document.getElementById('calendar-year').classList.toggle('hidden', !isYear);
+        document.getElementById('btn-calendar-month').classList.toggle('active', !isYear);
+        document.getElementById('btn-calendar-year').classList.toggle('active', isYear);
+        document.getElementById('btn-prev-month').setAttribute('aria-label', isYear ? 'Previous year' : 'Previous month');
+        document.getElementById('btn-next-month').setAttribute('aria-label', isYear ? 'Next year' : 'Next month');
+        document.getElementById('legend-fertile-confirmed').classList.toggle('hidden', !FertilityAwareness.isEnabled(user));
+        document.getElementById('legend-method').classList.toggle('hidden', !Contraception.get(user));
+        if (isYear) return this.renderCalendarYear(year);
+
+        const firstDay = new Date(year, month, 1).getDay();
+        const daysInMonth = new Date(year, month + 1, 0).getDate();
+
+        for (let i = 0; i < firstDay; i++) {
+            const d = document.createElement('div');
+            d.className = 'calendar-day empty';
+            grid.appendChild(d);
+        }
+
+        const monthStart = LocalDate.format(new Date(year, month, 1));
+        const monthEnd = LocalDate.format(new Date(year, month, daysInMonth));
+        const ctx = this.calendarContext(monthStart, monthEnd);
+
+        for (let i = 1; i <= daysInMonth; i++) {
+            const cellDate = new Date(year, month, i);
+            const dateStr = LocalDate.format(cellDate);
+            const d = document.createElement('div');
+            d.className = 'calendar-day';
+            d.innerText = i;
+            this.markDay(d, ctx, cellDate);
+
+            // Log Indicator
+            if (AppState.getLog(dateStr)) {
+                d.classList.add('has-log');
+            }
+
+            // Past days and today open that day's log
+            if (cellDate <= ctx.now) {
+                d.addEventListener('click', () => {
+                    window.location.hash = `#log/${dateStr}`;
+                });
+            } else {
+                d.classList.add('is-future');
+            }
+
+            grid.appendChild(d);
+        }
+    },
+
+    // Year at a glance: twelve mini-months; picking one opens it in month view
+    renderCalendarYear(year) {
+        const container = document.getElementById('calendar-year');
+        container.innerHTML = '';
+        const ctx = this.calendarContext(`${year}-01-01`, `${year}-12-31`);
+
+        for (let month = 0; month < 12; month++) {
+            const box = document.createElement('button');
+            box.className = 'mini-month';
+            const name = new Date(year, month, 1).toLocaleDateString(undefined, { month: 'long' });
+            box.setAttribute('aria-label', `Open ${name} ${year}`);
+            box.innerHTML = `<span class="mini-month-title">${name}</span><span class="mini-month-grid"></span>`;
+            const grid = box.querySelector('.mini-month-grid');
+
+            for (let i = 0; i < new Date(year, month, 1).getDay(); i++) {
+                grid.appendChild(document.createElement('span'));
+            }
+            const daysInMonth = new Date(year, month + 1, 0).getDate();
+            for (let i = 1; i <= daysInMonth; i++) {
+                const d = document.createElement('span');
+                d.className = 'mini-day';
+                d.innerText = i;
+                this.markDay(d, ctx, new Date(year, month, i));
+                grid.appendChild(d);
+            }
+
+            box.addEventListener('click', () => {
+                this.currentDate = new Date(year, month, 1);
+                this.calendarView = 'month';
+                this.renderCalendar();
+            });
+            container.appendChild(box);
+        }
+    },
+
+    // Dashboard week strip: Sunday to Saturday, `weekOffset` weeks from this one,
+    // coloured like the calendar with an icon for what each day's log holds
+    renderWeekStrip() {
+        const strip = document.getElementById('week-strip');
+        const user = AppState.getCurrentUser();
+        strip.innerHTML = '';
+        const start = new Date();
+        start.setHours(0, 0, 0, 0);
+        start.setDate(start.getDate() - start.getDay() + this.weekOffset * 7);
+        const days = Array.from({ length: 7 }, (_, i) => new Date(start.getFullYear(), start.getMonth(), start.getDate() + i));
+        const dateStrs = days.map(d => LocalDate.format(d));
+        const ctx = this.calendarContext(dateStrs[0], dateStrs[6]);
+
+        document.getElementById('week-strip-label').innerText = this.weekOffset === 0 ? 'This Week'
+            : `${this.formatShortDate(days[0])} – ${this.formatShortDate(days[6])}`;
+        document.getElementById('btn-week-today').classList.toggle('hidden', this.weekOffset === 0);
+
+        days.forEach((day, i) => {
+            const dateStr = dateStrs[i];
+            const log = AppState.getLog(dateStr);
+            const icons = [];
+            if (log) {
+                if (log.mood) icons.push(Vocabulary.emoji(user, log.mood));
+                if (log.flow) icons.push('🩸');
+                if ((log.symptoms || []).length) icons.push('⚡');
+                if (log.pill === 'taken' || (log.medications || []).length) icons.push('💊');
+                if (icons.length === 0) icons.push('📝');
+            }
+
+            const btn = document.createElement('button');
+            btn.className = 'week-day';
+            btn.innerHTML = `
+                <span class="week-day-name">${day.toLocaleDateString(undefined, { weekday: 'narrow' })}</span>
+                <span class="week-day-date">${day.getDate()}</span>
+                <span class="week-day-icons">${icons.slice(0, 3).map(icon => this.escapeHtml(icon)).join('')}</span>`;
+            const dateEl = btn.querySelector('.week-day-date');
+            this.markDay(dateEl, ctx, day);
+            const label = day.toLocaleDateString(undefined, { weekday: 'long', month: 'long', day: 'numeric' });
+            btn.setAttribute('aria-label', [label, dateEl.title, log ? 'logged' : ''].filter(Boolean).join(', '));
+
+            // Past days and today open that day's log
+            if (day <= ctx.now) btn.addEventListener('click', () => { window.location.hash = `#log/${dateStr}`; });
+            else btn.disabled = true;
+            strip.appendChild(btn);
+        });
+    },
+
+    // Calls onSwipe(1) for a swipe to the left (forward) and onSwipe(-1) for one to the right
+    addSwipe(el, onSwipe) {
+        let start = null;
+        el.addEventListener('touchstart', e => {
+            start = { x: e.changedTouches[0].clientX, y: e.changedTouches[0].clientY };
+        }, { passive: true });
+        el.addEventListener('touchend', e => {
+            if (!start) return;
+            const dx = e.changedTouches[0].clientX - start.x;
+            const dy = e.changedTouches[0].clientY - start.y;
+            start = null;
+            // Mostly sideways, so scrolling the page isn't taken for a swipe
+            if (Math.abs(dx) < this.SWIPE_MIN_PX || Math.abs(dx) < Math.abs(dy) * 1.5) return;
+            onSwipe(dx < 0 ? 1 : -1);
+        });
+    },
+
+    // Pattern statements, a cycle-day heatmap and the most logged entries per phase
+    renderPatterns() {
+        const user = AppState.getCurrentUser();
+        const entries = PatternAnalyzer.alignLogs(user);
+        const insights = document.getElementById('pattern-insights');
+        const heatmapEl = document.getElementById('pattern-heatmap');
+        const phasesEl = document.getElementById('pattern-phases');
+        insights.innerHTML = '';
+        heatmapEl.innerHTML = '';
+        phasesEl.innerHTML = '';
+        this.renderPhaseAverages(entries, user);
+
+        const patterns = PatternAnalyzer.findPatterns(entries, user);
+        if (patterns.length === 0) {
+            insights.innerHTML = '<li class="pattern-empty">Keep logging: patterns show up once you have logs from at least two cycles.</li>';
+        }
+        patterns.forEach(p => {
+            const li = document.createElement('li');
+            li.innerText = p.text;
+            insights.appendChild(li);
+        });
+
+        const heatmap = PatternAnalyzer.heatmap(entries, user);
+        if (heatmap.rows.length === 0) return;
+
+        // Phase band for a typical cycle above the day columns
+        const model = AppState.getPhaseModel();
+        const grid = document.createElement('div');
+        grid.className = 'heatmap-grid';
+        grid.style.gridTemplateColumns = `7rem repeat(${heatmap.days}, 14px)`;
+        const addCell = (className, text = '', title = '') => {
+            const cell = document.createElement('div');
+            cell.className = className;
+            cell.innerText = text;
+            if (title) cell.title = title;
+            grid.appendChild(cell);
+            return cell;
+        };
+
+        addCell('heatmap-label heatmap-axis', 'Cycle day');
+        for (let day = 1; day <= heatmap.days; day++) {
+            addCell('heatmap-axis', day === 1 || day % 7 === 0 ? day : '');
+        }
+        if (model) {
+            addCell('heatmap-label heatmap-axis', 'Phase');
+            for (let day = 1; day <= heatmap.days; day++) {
+                const phase = PatternAnalyzer.phaseFor(day, model.cycleLength, model.periodLength);
+                addCell('heatmap-phase', '', `Day ${day}: ${phase}`).style.background = PhaseEngine.getColor(phase);
+            }
+        }
+        heatmap.rows.forEach(row => {
+            addCell('heatmap-label', row.label, row.label);
+            row.cells.forEach((share, i) => {
+                const cycles = Math.round(share * heatmap.tracked);
+                const cell = addCell('heatmap-cell', '', `${row.label}, day ${i + 1}: ${cycles} of ${heatmap.tracked} cycles`);
+                cell.style.setProperty('--level', share);
+            });
+        });
+        heatmapEl.appendChild(grid);
+
+        const phases = PatternAnalyzer.byPhase(entries, user);
+        ['Menstrual Phase', 'Follicular Phase', 'Ovulation Phase', 'Luteal Phase'].forEach(phase => {
+            if (!phases[phase] || phases[phase].length === 0) return;
+            const item = document.createElement('div');
+            item.className = 'pattern-phase';
+            item.innerHTML = `<span class="pattern-phase-dot"></span><strong></strong> <span></span>`;
+            item.querySelector('.pattern-phase-dot').style.background = PhaseEngine.getColor(phase);
+            item.querySelector('strong').innerText = phase.replace(' Phase', '') + ':';
+            item.querySelector('span:last-child').innerText = phases[phase].map(f => f.label).join(', ');
+            phasesEl.appendChild(item);
+        });
+    },
+
+    // Sleep, weight and sex by phase; hidden until any of them is logged
+    renderPhaseAverages(entries, user) {
+        const container = document.getElementById('pattern-averages');
+        const averages = PatternAnalyzer.averagesByPhase(entries);
+        const phases = ['Menstrual Phase', 'Follicular Phase', 'Ovulation Phase', 'Luteal Phase'].filter(p => averages[p]);
+        const has = key => phases.some(p => averages[p][key]);
+        container.classList.toggle('hidden', !has('sleepDays') && !has('weightDays') && !has('sexDays'));
+        if (container.classList.contains('hidden')) return;
+
+        const unit = LogFields.weightUnit(user);
+        const columns = [
+            has('sleepDays') && { title: 'Avg. sleep', cell: a => a.sleep === null ? '–' : `${a.sleep} h` },
+            has('weightDays') && { title: 'Avg. weight', cell: a => a.weight === null ? '–' : `${LogFields.displayWeight(a.weight, unit)} ${unit}` },
+            has('sexDays') && { title: 'Days with sex', cell: a => a.sexDays }
+        ].filter(Boolean);
+        container.innerHTML = `
+            <table class="phase-averages">
+                <thead><tr><th>Phase</th>${columns.map(c => `<th>${c.title}</th>`).join('')}</tr></thead>
+                <tbody>${phases.map(p => `
+                    <tr><td>${p.replace(' Phase', '')}</td>${columns.map(c => `<td>${c.cell(averages[p])}</td>`).join('')}</tr>`).join('')}
+                </tbody>
+            </table>`;
+    },
+
+    renderAnalytics() {
+        this.renderPatterns();
+        this.renderHealthFlags();
+        const list = document.getElementById('history-list');
+        list.innerHTML = '';
+        const cycles = AppState.getCycles();
+        const avg = AppState.getAverageCycleLength();
+
+        cycles.forEach((c, idx) => {
+            let length = 0;
+            let status = '';
+            let statusClass = '';
+
+            if (c.pregnancy) { // Not a cycle: no length to compare
+                length = idx > 0 ? LocalDate.daysBetween(c.startDate, cycles[idx-1].startDate) : 'Current';
+                status = 'Pregnancy'; statusClass = 'badge-green';
+            } else if (idx > 0) { // logic for previous cycle duration
+                length = LocalDate.daysBetween(c.startDate, cycles[idx-1].startDate);
+                const variance = length - avg;
+                
+                if (Math.abs(variance) <= 2) {
+                    status = 'Regular'; statusClass = 'badge-green';
+                } else {
+                    status = (variance > 0 ? `+${variance}` : variance) + ' days';
+                    statusClass = 'badge-orange';
+                }
+            } else {
+                length = 'Current'; status = 'Active';
+            }
+
+            const item = document.createElement('div');
+            item.className = 'history-item';
+            item.innerHTML = `
+                <div>
+                    <div class="history-date">${LocalDate.display(c.startDate, {month:'short', day:'numeric'})}</div>
+                    <small style="color:#888">${length === 'Current' ? 'Ongoing' : length + ' days'}</small>
+                </div>
+                <div class="history-actions">
+                    ${status ? `<span class="history-badge ${statusClass}">${status}</span>` : ''}
+                    <button class="btn-icon btn-edit-cycle" title="Edit Cycle"><span class="material-icons-round">edit</span></button>
+                </div>
+            `;
+            item.querySelector('.btn-edit-cycle').addEventListener('click', () => this.CycleEditorController.open(idx));
+            list.appendChild(item);
+        });
+
+        this.TrendChartController.render();
+    },
+
+    // --- SUB-CONTROLLERS ---
+
+    LockController: {
+        TIMEOUT_MS: 5 * 60 * 1000, // Auto-lock after 5 minutes without interaction
+        lastActivity: Date.now(),
+
+        // Shows the lock screen; resolves once the right passcode is entered
+        prompt() {
+            document.getElementById('view-onboarding').classList.add('hidden');
+            document.getElementById('main-app').classList.add('hidden');
+            document.getElementById('view-lock').classList.remove('hidden');
+
+            const input = document.getElementById('lock-passphrase');
+            const btn = document.getElementById('btn-unlock');
+            const error = document.getElementById('lock-error');
+            input.focus();
+
+            return new Promise(resolve => {
+                const attempt = () => {
+                    if (!input.value || btn.disabled) return;
+                    btn.disabled = true;
+                    btn.innerText = 'Unlocking…';
+                    AppState.unlock(input.value).then(ok => {
+                        btn.disabled = false;
+                        btn.innerText = 'Unlock';
+                        if (!ok) {
+                            error.classList.remove('hidden');
+                            input.value = '';
+                            input.focus();
+                            return;
+                        }
+                        input.value = '';
+                        document.getElementById('view-lock').classList.add('hidden');
+                        resolve();
+                    });
+                };
+                btn.addEventListener('click', attempt);
+                input.addEventListener('keydown', (e) => {
+                    if (e.key === 'Enter') attempt();
+                });
+            });
+        },
+
+        init() {
+            ['pointerdown', 'keydown', 'touchstart', 'scroll'].forEach(evt => {
+                document.addEventListener(evt, () => { this.lastActivity = Date.now(); }, { passive: true });
+            });
+            // Timers are throttled in background tabs, so also check on return
+            document.addEventListener('visibilitychange', () => {
+                if (!document.hidden) this.check();
+            });
+            setInterval(() => this.check(), 15000);
+        },
+
+        check() {
+            if (AppState.lockConfig && Date.now() - this.lastActivity >= this.TIMEOUT_MS) this.lock();
+        },
+
+        // Reloading drops the keys and every decrypted record from memory
+        lock() {
+            Storage.queue.then(() => window.location.reload());
+        }
+    },
+
+    BreatheController: {
+        timer: null,
+        textEl: null,
+        circleEl: null,
+        
+        start() {
+            document.getElementById('breathe-modal').classList.remove('hidden');
+            this.textEl = document.getElementById('breathe-instruction');
+            this.circleEl = document.querySelector('.breathe-circle');
+            
+            this.circleEl.classList.add('breathe-anim');
+            this.runCycle();
+        },
+        
+        stop() {
+            document.getElementById('breathe-modal').classList.add('hidden');
+            if(this.timer) clearTimeout(this.timer);
+            this.circleEl.classList.remove('breathe-anim');
+        },
+        
+        runCycle() {
+            // Match animation: 4s Inhale, 4s Hold, 4s Exhale, 4s Hold
+            const step = () => {
+                // Inhale
+                this.textEl.innerText = "Inhale...";
+                
+                this.timer = setTimeout(() => {
+                    // Hold
+                    this.textEl.innerText = "Hold...";
+                    
+                    this.timer = setTimeout(() => {
+                        // Exhale
+                        this.textEl.innerText = "Exhale...";
+                        
+                        this.timer = setTimeout(() => {
+                            // Hold
+                             this.textEl.innerText = "Hold...";
+                             
+                             this.timer = setTimeout(() => {
+                                 step(); // Loop
+                             }, 4000);
+                        }, 4000);
+                    }, 4000);
+                }, 4000);
+            };
+            step();
+        }
+    },
+
+    LogController: {
+        currentDate: null, // YYYY-MM-DD being edited
+        selectedMood: null,
+        selectedFlow: null,
+        selectedSymptoms: new Set(),
+        selectedTags: new Set(),
+        selectedMedications: new Set(),
+        selectedSex: null,
+        selectedMucus: null,
+        selectedPill: null,
+        
+        init() {
+            // Toggle Views
+            document.getElementById('btn-show-log-form').addEventListener('click', () => {
+                document.getElementById('log-form-container').classList.remove('hidden');
+                document.getElementById('log-history-container').classList.add('hidden');
+                document.getElementById('btn-show-log-form').classList.add('active');
+                document.getElementById('btn-show-log-history').classList.remove('active');
+            });
+            
+            document.getElementById('btn-show-log-history').addEventListener('click', () => {
+                document.getElementById('log-form-container').classList.add('hidden');
+                document.getElementById('log-history-container').classList.remove('hidden');
+                document.getElementById('btn-show-log-form').classList.remove('active');
+                document.getElementById('btn-show-log-history').classList.add('active');
+                this.renderHistory();
+            });
+
+            // Flow
+            document.querySelectorAll('#flow-selector button').forEach(btn => {
+                btn.addEventListener('click', () => {
+                    document.querySelectorAll('#flow-selector button').forEach(b => b.classList.remove('selected'));
+                    btn.classList.add('selected');
+                    this.selectedFlow = btn.dataset.flow;
+                });
+            });
+
+            // Moods, symptoms, tags and medications come from the profile's
+            // vocabulary, so their buttons are rebuilt per form; clicks are handled here once
+            document.getElementById('mood-selector').addEventListener('click', e => {
+                const btn = e.target.closest('button');
+                if (!btn) return;
+                const same = this.selectedMood === btn.dataset.key;
+                this.selectedMood = same ? null : btn.dataset.key;
+                this.renderChoices();
+            });
+            document.getElementById('symptom-tags').addEventListener('click', e => this.toggleChoice(e, this.selectedSymptoms));
+            document.getElementById('log-tags').addEventListener('click', e => this.toggleChoice(e, this.selectedTags));
+            document.getElementById('log-medications').addEventListener('click', e => this.toggleChoice(e, this.selectedMedications));
+
+            // Typing a name that already exists just selects it
+            document.querySelectorAll('#log-form-container form[data-kind]').forEach(form => {
+                form.addEventListener('submit', e => {
+                    e.preventDefault();
+                    const kind = form.dataset.kind;
+                    const input = form.querySelector('input');
+                    const user = AppState.getCurrentUser();
+                    const key = Vocabulary.toKey(input.value);
+                    const existing = key && Vocabulary.find(user, kind, key);
+                    const error = existing ? null : Vocabulary.add(user, kind, input.value);
+                    if (error) return alert(error);
+                    if (existing && existing.hidden) Vocabulary.update(user, kind, key, { hidden: false });
+                    (kind === 'tags' ? this.selectedTags : this.selectedMedications).add(key);
+                    input.value = '';
+                    this.renderChoices();
+                });
+            });
+
+            // Optional fields
+            document.querySelectorAll('#log-extra-toggles button').forEach(btn => {
+                btn.addEventListener('click', () => this.showExtra(btn.dataset.extra));
+            });
+            document.querySelectorAll('#sex-selector button').forEach(btn => {
+                btn.addEventListener('click', () => {
+                    this.selectedSex = this.selectedSex === btn.dataset.sex ? null : btn.dataset.sex;
+                    document.querySelectorAll('#sex-selector button').forEach(b => b.classList.toggle('selected', b.dataset.sex === this.selectedSex));
+                });
+            });
+            document.getElementById('log-weight-unit').addEventListener('change', e => {
+                const user = AppState.getCurrentUser();
+                user.weightUnit = e.target.value;
+                Storage.putProfile(user).catch(console.error);
+            });
+
+            // Fertility awareness signs
+            document.querySelectorAll('#mucus-selector button').forEach(btn => {
+                btn.addEventListener('click', () => {
+                    this.selectedMucus = this.selectedMucus === btn.dataset.mucus ? null : btn.dataset.mucus;
+                    document.querySelectorAll('#mucus-selector button').forEach(b => b.classList.toggle('selected', b.dataset.mucus === this.selectedMucus));
+                });
+            });
+            document.getElementById('log-bbt-unit').addEventListener('change', e => {
+                const user = AppState.getCurrentUser();
+                user.temperatureUnit = e.target.value;
+                Storage.putProfile(user).catch(console.error);
+            });
+
+            // Pill check-in (contraception mode)
+            document.querySelectorAll('#pill-selector button').forEach(btn => {
+                btn.addEventListener('click', () => {
+                    this.selectedPill = this.selectedPill === btn.dataset.pill ? null : btn.dataset.pill;
+                    document.querySelectorAll('#pill-selector button').forEach(b => b.classList.toggle('selected', b.dataset.pill === this.selectedPill));
+                });
+            });
+
+            // Day stepping: the arrows, a swipe on the date, or straight back to today
+            const stepDay = direction => {
+                const date = LocalDate.addDays(this.currentDate, direction);
+                if (date <= LocalDate.today()) window.location.hash = `#log/${date}`;
+            };
+            document.getElementById('btn-log-prev-day').addEventListener('click', () => stepDay(-1));
+            document.getElementById('btn-log-next-day').addEventListener('click', () => stepDay(1));
+            document.getElementById('btn-log-today').addEventListener('click', () => { window.location.hash = '#log'; });
+            UI.addSwipe(document.getElementById('log-date-nav'), stepDay);
+
+            // Period markers for the day being logged
+            document.getElementById('btn-mark-period-start').addEventListener('click', () => {
+                const label = this.formatDate(this.currentDate);
+                UI.showConfirm('Log Period Start?', `Mark ${label} as the first day of a period?`, () => {
+                    const error = AppState.logPeriodStart(this.currentDate);
+                    if (error) alert(error);
+                    this.renderCycleStatus();
+                });
+            });
+            document.getElementById('btn-mark-period-end').addEventListener('click', () => {
+                const label = this.formatDate(this.currentDate);
+                UI.showConfirm('Log Period End?', `Mark ${label} as the last day of your period?`, () => {
+                    const error = AppState.logPeriodEnd(this.currentDate);
+                    if (error) alert(error);
+                    this.renderCycleStatus();
+                });
+            });
+
+            // Save
+            document.getElementById('btn-save-log').addEventListener('click', () => {
+                const number = id => document.getElementById(id).value === '' ? null : Number(document.getElementById(id).value);
+                const weight = number('log-weight');
+                const bbt = number('log-bbt');
+                const data = LogFields.clean({
+                    mood: this.selectedMood,
+                    flow: this.selectedFlow,
+                    symptoms: Array.from(this.selectedSymptoms),
+                    tags: Array.from(this.selectedTags),
+                    medications: Array.from(this.selectedMedications),
+                    sex: this.selectedSex,
+                    weight: weight === null ? null : LogFields.toKg(weight, document.getElementById('log-weight-unit').value),
+                    sleep: number('log-sleep'),
+                    note: document.getElementById('log-note').value,
+                    bbt: bbt === null ? null : LogFields.toCelsius(bbt, document.getElementById('log-bbt-unit').value),
+                    mucus: this.selectedMucus,
+                    pill: this.selectedPill
+                });
+                const invalid = LogFields.invalid(data);
+                if (invalid.includes('weight')) return alert('Please enter a realistic weight.');
+                if (invalid.includes('sleep')) return alert('Please enter between 0 and 24 hours of sleep.');
+                if (invalid.includes('bbt')) return alert('Please enter a basal body temperature between 34 and 40 °C (93.2 and 104 °F).');
+                AppState.saveDailyLog(this.currentDate, data);
+                window.location.hash = this.getReturnHash();
+            });
+        },
+
+        showExtra(name) {
+            document.querySelector(`.log-extra[data-extra="${name}"]`).classList.remove('hidden');
+            document.querySelector(`#log-extra-toggles [data-extra="${name}"]`).classList.add('hidden');
+        },
+
+        toggleChoice(e, selected) {
+            const btn = e.target.closest('button');
+            if (!btn) return;
+            const key = btn.dataset.key;
+            if (selected.has(key)) selected.delete(key);
+            else selected.add(key);
+            btn.classList.toggle('selected', selected.has(key));
+        },
+
+        // Buttons for the profile's visible entries, plus hidden ones this day already uses
+        renderChoices() {
+            const user = AppState.getCurrentUser();
+            const shown = (kind, selected) => Vocabulary.get(user, kind).filter(item => !item.hidden || selected.has(item.key));
+
+            document.getElementById('mood-selector').innerHTML = shown('moods', new Set([this.selectedMood])).map(m => `
+                <button data-key="${UI.escapeHtml(m.key)}" title="${UI.escapeHtml(m.label)}" aria-label="${UI.escapeHtml(m.label)}"
+                    class="${m.key === this.selectedMood ? 'selected' : ''}">${UI.escapeHtml(m.emoji || Vocabulary.DEFAULT_EMOJI)}</button>`).join('');
+
+            const chips = (kind, selected) => shown(kind, selected).map(item => `
+                <button class="tag ${selected.has(item.key) ? 'selected' : ''}" data-key="${UI.escapeHtml(item.key)}">${UI.escapeHtml(item.label)}</button>`).join('');
+            document.getElementById('symptom-tags').innerHTML = chips('symptoms', this.selectedSymptoms);
+            document.getElementById('log-tags').innerHTML = chips('tags', this.selectedTags);
+            document.getElementById('log-medications').innerHTML = chips('medications', this.selectedMedications);
+        },
+
+        // Past days are opened from the calendar, so return there
+        getReturnHash() {
+            const today = LocalDate.today();
+            return this.currentDate === today ? '#dashboard' : '#calendar';
+        },
+
+        formatDate(dateStr) {
+            return LocalDate.display(dateStr, { weekday: 'short', month: 'short', day: 'numeric' });
+        },
+
+        // dateStr comes from the route; anything missing, malformed or in the future means today
+        initForm(dateStr) {
+            const today = LocalDate.today();
+            const isValid = LocalDate.isValid(dateStr) && dateStr <= today;
+            this.currentDate = isValid ? dateStr : today;
+
+            const isToday = this.currentDate === today;
+            document.getElementById('log-date-display').innerText = isToday ? 'Today' : this.formatDate(this.currentDate);
+            document.getElementById('btn-log-next-day').disabled = isToday;
+            document.getElementById('btn-log-today').classList.toggle('hidden', isToday);
+            document.getElementById('btn-show-log-form').innerText = isToday ? 'Log Today' : 'Log Day';
+            document.getElementById('btn-cancel-log').setAttribute('href', this.getReturnHash());
+
+            // Reset Toggle to Form
+            document.getElementById('btn-show-log-form').click();
+            this.renderCycleStatus();
+
+            // Reset or Load existing data for the day
+            const data = AppState.getLog(this.currentDate);
+            
+            // Reset UI
+            const log = data || {};
+            document.querySelectorAll('#flow-selector .selected').forEach(el => el.classList.remove('selected'));
+            document.querySelectorAll('#log-form-container form[data-kind] input').forEach(input => { input.value = ''; });
+            this.selectedMood = log.mood || null;
+            this.selectedFlow = null;
+            this.selectedSymptoms = new Set(log.symptoms || []);
+            this.selectedTags = new Set(log.tags || []);
+            this.selectedMedications = new Set(log.medications || []);
+            this.renderChoices();
+
+            if (log.flow) {
+                const b = document.querySelector(`button[data-flow="${log.flow}"]`);
+                if(b) b.click();
+            }
+
+            // Optional fields start folded away unless this day has them
+            const unit = LogFields.weightUnit(AppState.getCurrentUser());
+            this.selectedSex = log.sex || null;
+            document.querySelectorAll('#sex-selector button').forEach(b => b.classList.toggle('selected', b.dataset.sex === this.selectedSex));
+            document.getElementById('log-weight-unit').value = unit;
+            document.getElementById('log-weight').value = log.weight !== undefined ? LogFields.displayWeight(log.weight, unit) : '';
+            document.getElementById('log-sleep').value = log.sleep !== undefined ? log.sleep : '';
+            document.getElementById('log-note').value = log.note || '';
+            document.querySelectorAll('.log-extra').forEach(el => el.classList.add('hidden'));
+            document.querySelectorAll('#log-extra-toggles button').forEach(el => el.classList.remove('hidden'));
+            ['medications', 'sex', 'weight', 'sleep', 'note'].filter(name => log[name] !== undefined).forEach(name => this.showExtra(name));
+
+            // Fertility signs show in the mode, or when this day has them anyway
+            const user = AppState.getCurrentUser();
+            const tempUnit = LogFields.temperatureUnit(user);
+            this.selectedMucus = log.mucus || null;
+            document.querySelectorAll('#mucus-selector button').forEach(b => b.classList.toggle('selected', b.dataset.mucus === this.selectedMucus));
+            document.getElementById('log-bbt-unit').value = tempUnit;
+            document.getElementById('log-bbt').value = log.bbt !== undefined ? LogFields.displayTemperature(log.bbt, tempUnit) : '';
+            const showSigns = FertilityAwareness.isEnabled(user) || log.bbt !== undefined || log.mucus !== undefined;
+            document.getElementById('log-fertility-signs').classList.toggle('hidden', !showSigns);
+
+            // Likewise the pill, on the pill
+            const config = Contraception.get(user);
+            this.selectedPill = log.pill || null;
+            document.querySelectorAll('#pill-selector button').forEach(b => b.classList.toggle('selected', b.dataset.pill === this.selectedPill));
+            const showPill = (config && config.method === 'pill') || log.pill !== undefined;
+            document.getElementById('log-pill').classList.toggle('hidden', !showPill);
+        },
+
+        // Where the day sits in the cycle history, e.g. "Period day 2"
+        renderCycleStatus() {
+            const status = document.getElementById('log-cycle-status');
+            const cycle = AppState.getCycles().find(c => c.startDate <= this.currentDate);
+            if (!cycle) {
+                status.innerText = 'No period logged before this day.';
+                return;
+            }
+            const day = LocalDate.daysBetween(cycle.startDate, this.currentDate) + 1;
+            const inPeriod = cycle.endDate ? this.currentDate <= cycle.endDate : cycle === AppState.getLatestCycle();
+            if (day === 1) status.innerText = 'First day of a period.';
+            else if (inPeriod) status.innerText = `Period day ${day}.`;
+            else status.innerText = `Cycle day ${day}.`;
+        },
+
+        renderHistory() {
+            const list = document.getElementById('log-history-list');
+            list.innerHTML = '';
+            const user = AppState.getCurrentUser();
+            if(!user || !user.logs || Object.keys(user.logs).length === 0) {
+                list.innerHTML = '<p style="text-align:center; color:#999; padding:2rem;">No logs yet. Start tracking today!</p>';
+                return;
+            }
+
+            // Convert logs object to array and sort descending
+            const logsArr = Object.entries(user.logs)
+                .map(([date, data]) => ({ date, ...data }))
+                .sort((a, b) => LocalDate.compare(b.date, a.date));
+
+            logsArr.forEach(log => {
+                const displayDate = LocalDate.display(log.date, { weekday:'short', month:'short', day:'numeric' });
+                const moodIcon = UI.escapeHtml(Vocabulary.emoji(user, log.mood));
+                const meta = (log.flow ? [`Flow: ${log.flow}`] : []).concat(LogFields.describe(log, user));
+                const flowText = UI.escapeHtml(meta.join(' · '));
+                
+                const chip = (kind, key, prefix = '') => `<span class="mini-tag">${prefix}${UI.escapeHtml(Vocabulary.label(user, kind, key))}</span>`;
+                const tagsHtml = (log.symptoms || []).map(s => chip('symptoms', s))
+                    .concat((log.medications || []).map(m => chip('medications', m, '💊 ')))
+                    .concat((log.tags || []).map(t => chip('tags', t, '#'))).join('');
+                const noteHtml = log.note ? `<div class="log-history-note">${UI.escapeHtml(log.note)}</div>` : '';
+
+                const item = document.createElement('div');
+                item.className = 'log-history-item';
+                item.innerHTML = `
+                    <div class="log-history-mood">${moodIcon}</div>
+                    <div class="log-history-details">
+                        <div class="log-history-date">${displayDate}</div>
+                        <div class="log-history-meta">${flowText}</div>
+                        <div class="log-history-symptoms">${tagsHtml}</div>
+                        ${noteHtml}
+                    </div>
+                `;
+                list.appendChild(item);
+            });
+        }
+    },
+
+    CycleEditorController: {
+        index: null,
+
+        init() {
+            document.getElementById('btn-cycle-cancel').addEventListener('click', () => this.close());
+
+            document.getElementById('btn-cycle-save').addEventListener('click', () => {
+                const start = document.getElementById('edit-cycle-start').value;
+                const end = document.getElementById('edit-cycle-end').value || null;
+                this.apply(AppState.updateCycle(this.index, start, end));
+            });
+
+            document.getElementById('btn-cycle-delete').addEventListener('click', () => {
+                UI.showConfirm('Delete Cycle?', 'This period will be removed from your history and predictions.', () => {
+                    this.apply(AppState.deleteCycle(this.index));
+                });
+            });
+
+            document.getElementById('btn-cycle-merge').addEventListener('click', () => {
+                UI.showConfirm('Merge Periods?', 'Treat this start as part of the previous period? Use this when one period was logged twice.', () => {
+                    this.apply(AppState.mergeCycles(this.index));
+                });
+            });
+
+            document.getElementById('btn-cycle-split').addEventListener('click', () => {
+                document.getElementById('cycle-split-row').classList.toggle('hidden');
+            });
+
+            document.getElementById('btn-cycle-split-save').addEventListener('click', () => {
+                const date = document.getElementById('edit-cycle-split-date').value;
+                this.apply(AppState.splitCycle(this.index, date));
+            });
+        },
+
+        open(index) {
+            const cycle = AppState.getCycles()[index];
+            if (!cycle) return;
+            this.index = index;
+
+            document.getElementById('edit-cycle-start').value = cycle.startDate;
+            document.getElementById('edit-cycle-end').value = cycle.endDate || '';
+            document.getElementById('edit-cycle-split-date').value = '';
+            document.getElementById('cycle-split-row').classList.add('hidden');
+            // Merging needs an earlier period to fold into
+            document.getElementById('btn-cycle-merge').disabled = index >= AppState.getCycles().length - 1;
+            this.showError(null);
+            document.getElementById('cycle-editor-modal').classList.remove('hidden');
+        },
+
+        // Editor methods on AppState return an error message or null
+        apply(error) {
+            if (error) {
+                this.showError(error);
+                return;
+            }
+            this.close();
+            UI.renderAnalytics();
+        },
+
+        showError(msg) {
+            const el = document.getElementById('cycle-editor-error');
+            el.innerText = msg || '';
+            el.classList.toggle('hidden', !msg);
+        },
+
+        close() {
+            document.getElementById('cycle-editor-modal').classList.add('hidden');
+            this.index = null;
+        }
+    },
+
+    // --- APP UPDATES ---
+    // A new service worker installs in the background and waits; the banner
+    // lets the user switch to it, after which the page reloads once.
+    UpdateController: {
+        registration: null,
+        reloading: false,
+
+        watch(reg) {
+            this.registration = reg;
+            // Only an update if a worker already controls this page (not the first install)
+            const hadController = !!navigator.serviceWorker.controller;
+            if (reg.waiting && hadController) this.show();
+            reg.addEventListener('updatefound', () => {
+                const worker = reg.installing;
+                worker.addEventListener('statechange', () => {
+                    if (worker.state === 'installed' && navigator.serviceWorker.controller) this.show();
+                });
+            });
+            // On a first visit the new worker's clients.claim() also fires this;
+            // that page is already up to date and must not reload mid-onboarding
+            navigator.serviceWorker.addEventListener('controllerchange', () => {
+                if (!hadController || this.reloading) return;
+                this.reloading = true;
+                window.location.reload();
+            });
+            document.getElementById('btn-update-app').addEventListener('click', () => this.apply());
+        },
+
+        show() {
+            document.getElementById('update-banner').classList.remove('hidden');
+        },
+
+        apply() {
+            const waiting = this.registration && this.registration.waiting;
+            if (!waiting) {
+                window.location.reload();
+                return;
+            }
+            waiting.postMessage({ type: 'skip-waiting' });
+        }
+    },
+
+    // --- REMINDER RULES (per profile) ---
+    RemindersController: {
+        init() {
+            document.getElementById('btn-reminder-settings').addEventListener('click', () => this.open());
+            document.getElementById('btn-reminders-close').addEventListener('click', () => {
+                document.getElementById('reminders-modal').classList.add('hidden');
+            });
+        },
+
+        open() {
+            if (!AppState.getCurrentUser()) return;
+            this.render();
+            document.getElementById('reminders-modal').classList.remove('hidden');
+        },
+
+        render() {
+            const user = AppState.getCurrentUser();
+            const rules = Reminders.getRules(user);
+            const container = document.getElementById('reminder-rules');
+            container.innerHTML = '';
+            const granted = 'Notification' in window && Notification.permission === 'granted';
+            document.getElementById('reminders-permission').classList.toggle('hidden', granted);
+
+            Object.keys(Reminders.TYPES).forEach(type => {
+                const rule = rules[type];
+                const block = document.createElement('div');
+                block.className = 'reminder-rule';
+                block.innerHTML = `
+                    <label class="reminder-toggle"><input type="checkbox" data-field="enabled"> <span></span></label>
+                    <div class="reminder-fields">
+                        ${'daysBefore' in rule ? '<label>Days before <input type="number" min="0" max="14" data-field="daysBefore"></label>' : ''}
+                        ${'daysLate' in rule ? '<label>Days late <input type="number" min="1" max="14" data-field="daysLate"></label>' : ''}
+                        <label>At <input type="time" data-field="time"></label>
+                        <label>Quiet from <input type="time" data-field="quietStart"></label>
+                        <label>to <input type="time" data-field="quietEnd"></label>
+                    </div>
+                `;
+                block.querySelector('.reminder-toggle span').innerText = Reminders.TYPES[type].label;
+                block.querySelectorAll('[data-field]').forEach(input => {
+                    const field = input.dataset.field;
+                    if (input.type === 'checkbox') input.checked = rule.enabled;
+                    else input.value = rule[field] === null ? '' : rule[field];
+                    input.addEventListener('change', () => this.save(type, block));
+                });
+                block.querySelector('.reminder-fields').classList.toggle('hidden', !rule.enabled);
+                container.appendChild(block);
+            });
+        },
+
+        save(type, block) {
+            const changes = {};
+            block.querySelectorAll('[data-field]').forEach(input => {
+                const field = input.dataset.field;
+                if (input.type === 'checkbox') changes[field] = input.checked;
+                else if (input.type === 'number') changes[field] = Math.max(Number(input.min), Math.min(Number(input.max), Number(input.value) || 0));
+                else changes[field] = input.value || null;
+            });
+            if (!changes.time) changes.time = Reminders.TYPES[type].defaults.time;
+            // Quiet hours need both ends
+            if (!changes.quietStart || !changes.quietEnd) changes.quietStart = changes.quietEnd = null;
+
+            const user = AppState.getCurrentUser();
+            const ask = changes.enabled && 'Notification' in window && Notification.permission === 'default'
+                ? Notification.requestPermission() : Promise.resolve();
+            ask.then(() => Reminders.saveRule(user, type, changes)).then(() => this.render());
+        }
+    },
+
+    // Settings > Symptoms, Moods & Tags for the current profile
+    VocabularyController: {
+        kind: 'symptoms',
+
+        init() {
+            document.getElementById('btn-vocabulary-settings').addEventListener('click', () => this.open());
+            document.getElementById('btn-vocabulary-close').addEventListener('click', () => {
+                document.getElementById('vocabulary-modal').classList.add('hidden');
+            });
+            document.querySelectorAll('#vocabulary-tabs button').forEach(btn => {
+                btn.addEventListener('click', () => {
+                    this.kind = btn.dataset.kind;
+                    this.render();
+                });
+            });
+            document.getElementById('form-vocabulary-add').addEventListener('submit', e => {
+                e.preventDefault();
+                const label = document.getElementById('vocabulary-new-label');
+                const emoji = document.getElementById('vocabulary-new-emoji');
+                if (this.apply(Vocabulary.add(AppState.getCurrentUser(), this.kind, label.value, emoji.value.trim() || null))) {
+                    label.value = '';
+                    emoji.value = '';
+                }
+            });
+        },
+
+        open() {
+            if (!AppState.getCurrentUser()) return;
+            this.render();
+            document.getElementById('vocabulary-modal').classList.remove('hidden');
+        },
+
+        // Shows the error, or re-renders; true when the change went through
+        apply(error) {
+            const message = document.getElementById('vocabulary-error');
+            message.innerText = error || '';
+            message.classList.toggle('hidden', !error);
+            if (!error) this.render();
+            return !error;
+        },
+
+        render() {
+            const user = AppState.getCurrentUser();
+            const isMoods = this.kind === 'moods';
+            document.querySelectorAll('#vocabulary-tabs button').forEach(btn => {
+                btn.classList.toggle('active', btn.dataset.kind === this.kind);
+            });
+            document.getElementById('vocabulary-new-emoji').classList.toggle('hidden', !isMoods);
+            document.getElementById('vocabulary-new-label').placeholder = `New ${Vocabulary.NOUNS[this.kind]}`;
+
+            const list = document.getElementById('vocabulary-list');
+            const items = Vocabulary.get(user, this.kind);
+            if (items.length === 0) {
+                list.innerHTML = `<p class="vocabulary-hint">No ${this.kind} yet. Add one below or from the daily log.</p>`;
+                return;
+            }
+            list.innerHTML = '';
+            items.forEach((item, i) => {
+                const row = document.createElement('div');
+                row.className = `vocabulary-row ${item.hidden ? 'is-hidden' : ''}`;
+                row.innerHTML = `
+                    ${isMoods ? '<input type="text" data-field="emoji" maxlength="4" aria-label="Emoji">' : ''}
+                    <input type="text" data-field="label" maxlength="30" aria-label="Name">
+                    ${isMoods ? '<label title="Counts as a low mood in Analytics"><input type="checkbox" data-field="low"> Low</label>' : ''}
+                    <button data-move="-1" title="Move up" ${i === 0 ? 'disabled' : ''}><span class="material-icons-round">arrow_upward</span></button>
+                    <button data-move="1" title="Move down" ${i === items.length - 1 ? 'disabled' : ''}><span class="material-icons-round">arrow_downward</span></button>
+                    <button data-field="hidden" title="${item.hidden ? 'Show in the log form' : 'Hide from the log form'}">
+                        <span class="material-icons-round">${item.hidden ? 'visibility_off' : 'visibility'}</span>
+                    </button>
+                `;
+                const field = name => row.querySelector(`[data-field="${name}"]`);
+                field('label').value = item.label;
+                field('label').addEventListener('change', e => {
+                    if (e.target.value.trim() === item.label) return;
+                    this.apply(Vocabulary.rename(user, this.kind, item.key, e.target.value));
+                });
+                if (isMoods) {
+                    field('emoji').value = item.emoji || '';
+                    field('emoji').addEventListener('change', e => {
+                        this.apply(Vocabulary.update(user, this.kind, item.key, { emoji: e.target.value.trim() || Vocabulary.DEFAULT_EMOJI }));
+                    });
+                    field('low').checked = !!item.low;
+                    field('low').addEventListener('change', e => this.apply(Vocabulary.update(user, this.kind, item.key, { low: e.target.checked })));
+                }
+                row.querySelectorAll('[data-move]').forEach(btn => {
+                    btn.addEventListener('click', () => this.apply(Vocabulary.move(user, this.kind, item.key, Number(btn.dataset.move))));
+                });
+                field('hidden').addEventListener('click', () => this.apply(Vocabulary.update(user, this.kind, item.key, { hidden: !item.hidden })));
+                list.appendChild(row);
+            });
+        }
+    },
+
+    // Settings > Pregnancy Mode: start, correct the due date, end, or undo
+    PregnancyController: {
+        init() {
+            document.getElementById('btn-pregnancy-settings').addEventListener('click', () => this.open());
+            document.querySelectorAll('.btn-pregnancy-close').forEach(btn => btn.addEventListener('click', () => this.close()));
+            document.getElementById('btn-pregnancy-start').addEventListener('click', () => {
+                this.apply(AppState.startPregnancy(document.getElementById('pregnancy-due-new').value));
+            });
+            document.getElementById('btn-pregnancy-save-due').addEventListener('click', () => {
+                this.apply(AppState.updateDueDate(document.getElementById('pregnancy-due').value));
+            });
+            document.getElementById('btn-pregnancy-end').addEventListener('click', () => {
+                const endDate = document.getElementById('pregnancy-end').value;
+                UI.showConfirm('End Pregnancy?', 'Tracking moves to postpartum. Predictions restart with your first logged period.', () => {
+                    this.apply(AppState.endPregnancy(endDate));
+                });
+            });
+            document.getElementById('btn-pregnancy-cancel').addEventListener('click', () => {
+                UI.showConfirm('Turn Off Pregnancy Mode?', 'Your cycle predictions come back as if pregnancy mode had never been on.', () => {
+                    this.apply(AppState.cancelPregnancy());
+                    this.close();
+                });
+            });
+        },
+
+        open() {
+            if (!AppState.getCurrentUser()) return;
+            this.render();
+            document.getElementById('pregnancy-error').classList.add('hidden');
+            document.getElementById('pregnancy-modal').classList.remove('hidden');
+        },
+
+        close() {
+            document.getElementById('pregnancy-modal').classList.add('hidden');
+        },
+
+        // Shows the error, or re-renders everything the change affects
+        apply(error) {
+            const message = document.getElementById('pregnancy-error');
+            message.innerText = error || '';
+            message.classList.toggle('hidden', !error);
+            if (error) return;
+            this.render();
+            UI.SettingsController.renderLogging();
+            Router.handleRoute();
+        },
+
+        render() {
+            const user = AppState.getCurrentUser();
+            const status = Pregnancy.status(user);
+            const pregnancy = Pregnancy.current(user);
+            const latest = AppState.getLatestCycle();
+            const format = dateStr => LocalDate.display(dateStr, { month: 'long', day: 'numeric', year: 'numeric' });
+            const today = LocalDate.today();
+
+            document.getElementById('pregnancy-start').classList.toggle('hidden', status !== null);
+            document.getElementById('pregnancy-active').classList.toggle('hidden', status !== 'pregnant');
+            document.getElementById('pregnancy-postpartum').classList.toggle('hidden', status !== 'postpartum');
+
+            if (status === null) {
+                document.getElementById('pregnancy-start-text').innerText = latest
+                    ? `Predictions and late alerts pause while you're pregnant. Your due date is counted 40 weeks from your last period (${format(latest.startDate)}); change it if your midwife or doctor gave you another.`
+                    : 'Log the first day of your last period first; your due date is counted from it.';
+                document.getElementById('pregnancy-due-new').value = latest ? Pregnancy.dueDateFor(latest.startDate) : '';
+                document.getElementById('btn-pregnancy-start').disabled = !latest;
+            } else if (status === 'pregnant') {
+                const progress = Pregnancy.progress(pregnancy, today);
+                document.getElementById('pregnancy-active-text').innerText =
+                    `Week ${progress.weeks} + ${progress.extraDays}, ${progress.trimester.toLowerCase()}. Due ${format(pregnancy.dueDate)}.`;
+                document.getElementById('pregnancy-due').value = pregnancy.dueDate;
+                document.getElementById('pregnancy-end').value = today;
+                document.getElementById('pregnancy-end').max = today;
+            } else {
+                document.getElementById('pregnancy-postpartum-text').innerText =
+                    `Postpartum since ${format(pregnancy.endDate)}. Predictions restart with your first logged period, and the time you were pregnant is left out of your average cycle length.`;
+            }
+        }
+    },
+
+    // Settings > Contraception: the method and its schedule for the current profile
+    ContraceptionController: {
+        init() {
+            const regimen = document.getElementById('contraception-regimen');
+            Object.entries(Contraception.REGIMENS).forEach(([value, r]) => regimen.add(new Option(r.label, value)));
+            const kind = document.getElementById('contraception-iud-kind');
+            Object.entries(Contraception.IUD_KINDS).forEach(([value, label]) => kind.add(new Option(label, value)));
+
+            document.getElementById('btn-contraception-settings').addEventListener('click', () => this.open());
+            document.getElementById('btn-contraception-cancel').addEventListener('click', () => this.close());
+            document.getElementById('contraception-method').addEventListener('change', e => this.showFields(e.target.value));
+            document.getElementById('btn-contraception-save').addEventListener('click', () => this.save());
+        },
+
+        open() {
+            const user = AppState.getCurrentUser();
+            if (!user) return;
+            const config = Contraception.get(user) || {};
+            const today = LocalDate.today();
+            const runOut = Contraception.runOutDate(config);
+            document.getElementById('contraception-method').value = config.method || '';
+            document.getElementById('contraception-regimen').value = config.regimen || '21/7';
+            document.getElementById('contraception-iud-kind').value = config.kind || 'hormonal';
+            // The start of the pack in use, so the date stays meaningful as packs go by
+            const day = config.method && Contraception.dayOf(config, today);
+            document.getElementById('contraception-start').value = day ? day.packStart : (config.startDate || '');
+            document.getElementById('contraception-start').max = today;
+            // Packs still left today, counting the one in use
+            document.getElementById('contraception-packs').value = runOut
+                ? Math.max(0, Math.ceil(LocalDate.daysBetween(today, runOut) / Contraception.SCHEDULE_DAYS)) : '';
+            document.getElementById('contraception-replace').value = config.replaceBy || '';
+            document.getElementById('contraception-error').classList.add('hidden');
+            this.showFields(config.method || '');
+            document.getElementById('contraception-modal').classList.remove('hidden');
+        },
+
+        close() {
+            document.getElementById('contraception-modal').classList.add('hidden');
+        },
+
+        showFields(method) {
+            document.querySelectorAll('#contraception-modal [data-methods]').forEach(el => {
+                el.classList.toggle('hidden', !el.dataset.methods.split(' ').includes(method));
+            });
+            if (method) document.getElementById('contraception-start-label').innerText = Contraception.METHODS[method].startLabel;
+        },
+
+        save() {
+            const method = document.getElementById('contraception-method').value;
+            const packs = document.getElementById('contraception-packs').value;
+            let config = null;
+            if (method === 'pill') {
+                config = {
+                    method: method,
+                    regimen: document.getElementById('contraception-regimen').value,
+                    startDate: document.getElementById('contraception-start').value,
+                    packsLeft: packs === '' ? null : Number(packs)
+                };
+            } else if (method === 'iud') {
+                config = {
+                    method: method,
+                    kind: document.getElementById('contraception-iud-kind').value,
+                    startDate: document.getElementById('contraception-start').value,
+                    replaceBy: document.getElementById('contraception-replace').value || null
+                };
+            } else if (method) {
+                config = { method: method, startDate: document.getElementById('contraception-start').value };
+            }
+
+            const error = AppState.setContraception(config);
+            const message = document.getElementById('contraception-error');
+            message.innerText = error || '';
+            message.classList.toggle('hidden', !error);
+            if (error) return;
+            this.close();
+            UI.SettingsController.renderLogging();
+            Router.handleRoute();
+        }
+    },
+
+    // --- INSIGHTS CHART (#trend-chart) ---
+    // One Trends metric as SVG. Points are evenly spaced; while the chart has
+    // focus the arrow keys, Home and End move between them, and the tooltip
+    // (a live region) reads out the selected one.
+    TrendChartController: {
+        WIDTH: 320,
+        HEIGHT: 180,
+        PAD: { top: 12, right: 8, bottom: 26, left: 30 },
+        MAX_AXIS_LABELS: 6,
+        MOOD_COLORS: ['#FF8DA1', '#C8B6FF', '#B8E0D2', '#FFD166', '#FF9F1C', '#9AD0EC', '#F4A6C6', '#CDB4DB'],
+        metric: 'cycle',
+        range: '6',
+        series: null,
+        selected: null,
+        positions: [], // x of each point, in viewBox units
+        colors: {},    // mood key -> color
+
+        init() {
+            const metric = document.getElementById('trend-metric');
+            Object.entries(Trends.METRICS).forEach(([value, m]) => metric.add(new Option(m.label, value)));
+            const range = document.getElementById('trend-range');
+            Object.entries(Trends.RANGES).forEach(([value, label]) => range.add(new Option(label, value)));
+            metric.value = this.metric;
+            range.value = this.range;
+            metric.addEventListener('change', e => {
+                this.metric = e.target.value;
+                this.render();
+            });
+            range.addEventListener('change', e => {
+                this.range = e.target.value;
+                this.render();
+            });
+
+            const chart = document.getElementById('trend-chart');
+            chart.addEventListener('keydown', e => this.onKey(e));
+            chart.addEventListener('focusin', () => {
+                if (this.selected === null && this.series.points.length) this.select(this.series.points.length - 1);
+            });
+            chart.addEventListener('mouseover', e => {
+                const hit = e.target.closest('[data-index]');
+                if (hit) this.select(Number(hit.dataset.index));
+            });
+            chart.addEventListener('mouseleave', () => {
+                if (!chart.contains(document.activeElement)) this.select(null);
+            });
+        },
+
+        render() {
+            const user = AppState.getCurrentUser();
+            const chart = document.getElementById('trend-chart');
+            const today = LocalDate.today();
+            const metric = Trends.METRICS[this.metric];
+            this.series = Trends.series(user, this.metric, this.range, today);
+            this.selected = null;
+            document.getElementById('trend-tooltip').classList.add('hidden');
+
+            const moods = Vocabulary.get(user, 'moods');
+            this.colors = {};
+            moods.forEach((m, i) => { this.colors[m.key] = this.MOOD_COLORS[i % this.MOOD_COLORS.length]; });
+
+            const { points, stats } = this.series;
+            const legend = document.getElementById('trend-legend');
+            if (points.every(p => p.value === 0)) { // Also true when there are no points
+                this.series.points = [];
+                chart.innerHTML = '<p class="trend-empty">Not enough data for this range yet.</p>';
+                document.getElementById('trend-summary').innerText = '';
+                legend.innerHTML = '';
+                return;
+            }
+            chart.innerHTML = this.buildSvg(points, stats, metric);
+            document.getElementById('trend-summary').innerText = this.summaryText(points, stats);
+
+            // Moods that appear in the range, in the profile's order
+            const shown = moods.filter(m => points.some(p => (p.parts || []).some(part => part.key === m.key)));
+            legend.innerHTML = shown.map(m => `
+                <span class="legend-item"><span class="dot" style="background:${this.colors[m.key]}"></span>${UI.escapeHtml(`${m.emoji || Vocabulary.DEFAULT_EMOJI} ${m.label}`)}</span>`).join('');
+        },
+
+        buildSvg(points, stats, metric) {
+            const { top, right, bottom, left } = this.PAD;
+            const plotW = this.WIDTH - left - right;
+            const plotH = this.HEIGHT - top - bottom;
+            const values = points.map(p => p.value);
+            const band = stats ? { low: stats.mean - stats.sd, high: stats.mean + stats.sd } : null;
+
+            // Lengths sit far from zero, so their scale hugs the data; counts start at zero
+            const margin = metric.type === 'line' ? 2 : 0;
+            const yMin = metric.type === 'line' ? Math.max(0, Math.floor(Math.min(...values, band ? band.low : Infinity) - margin)) : 0;
+            const yMax = Math.max(Math.ceil(Math.max(...values, band ? band.high : 0) + margin), yMin + 1);
+            const y = v => Math.round((top + plotH - (v - yMin) / (yMax - yMin) * plotH) * 10) / 10;
+            const slot = plotW / points.length;
+            this.positions = points.map((_, i) => Math.round((left + slot * (i + 0.5)) * 10) / 10);
+            const x = i => this.positions[i];
+            const barWidth = Math.max(2, Math.min(24, slot * 0.6));
+            const parts = [];
+
+            [yMin, Math.round((yMin + yMax) / 2), yMax].forEach(v => {
+                parts.push(`<line class="trend-grid" x1="${left}" x2="${this.WIDTH - right}" y1="${y(v)}" y2="${y(v)}"/>`);
+                parts.push(`<text class="trend-axis" x="${left - 4}" y="${y(v) + 3}" text-anchor="end">${v}</text>`);
+            });
+            if (band) {
+                const high = y(Math.min(yMax, band.high));
+                parts.push(`<rect class="trend-band" x="${left}" y="${high}" width="${plotW}" height="${Math.max(1, y(Math.max(yMin, band.low)) - high)}"/>`);
+                parts.push(`<line class="trend-mean" x1="${left}" x2="${this.WIDTH - right}" y1="${y(stats.mean)}" y2="${y(stats.mean)}"/>`);
+            }
+            parts.push(`<line class="trend-cursor hidden" y1="${top}" y2="${top + plotH}"/>`);
+
+            if (metric.type === 'line') {
+                if (points.length > 1) parts.push(`<polyline class="trend-line" points="${points.map((p, i) => `${x(i)},${y(p.value)}`).join(' ')}"/>`);
+                points.forEach((p, i) => parts.push(`<circle class="trend-point" data-point="${i}" cx="${x(i)}" cy="${y(p.value)}" r="4"/>`));
+            } else if (metric.type === 'bar') {
+                points.forEach((p, i) => parts.push(`<rect class="trend-bar" data-point="${i}" x="${x(i) - barWidth / 2}" y="${y(p.value)}" width="${barWidth}" height="${y(yMin) - y(p.value)}" rx="2"/>`));
+            } else {
+                points.forEach((p, i) => {
+                    let base = 0;
+                    p.parts.forEach(part => {
+                        parts.push(`<rect class="trend-segment" data-point="${i}" x="${x(i) - barWidth / 2}" y="${y(base + part.value)}" width="${barWidth}" height="${y(base) - y(base + part.value)}" fill="${this.colors[part.key]}"/>`);
+                        base += part.value;
+                    });
+                });
+            }
+
+            // Axis labels counted back from the newest point, so it always has one
+            const every = Math.ceil(points.length / this.MAX_AXIS_LABELS);
+            points.forEach((p, i) => {
+                if ((points.length - 1 - i) % every !== 0) return;
+                parts.push(`<text class="trend-axis" x="${x(i)}" y="${this.HEIGHT - 8}" text-anchor="middle">${UI.escapeHtml(p.axisLabel)}</text>`);
+            });
+
+            // Full-height columns catch the pointer, so small points are easy to hit
+            points.forEach((p, i) => parts.push(`<rect class="trend-hit" data-index="${i}" x="${left + slot * i}" y="${top}" width="${slot}" height="${plotH}"/>`));
+
+            const label = `${metric.label} chart, ${points.length} point${points.length === 1 ? '' : 's'}. Use the left and right arrow keys to read each one.`;
+            return `<svg viewBox="0 0 ${this.WIDTH} ${this.HEIGHT}" tabindex="0" role="group" aria-label="${UI.escapeHtml(label)}">${parts.join('')}</svg>`;
+        },
 
-            // Log Indicator
-            if (AppState.getLog(dateStr)) {
-                d.classList.add('has-log');
+        summaryText(points, stats) {
+            const round = v => Math.round(v * 10) / 10;
+            if (this.metric === 'moods') {
+                const totals = {};
+                points.forEach(p => p.parts.forEach(part => { totals[part.label] = (totals[part.label] || 0) + part.value; }));
+                const [top] = Object.entries(totals).sort((a, b) => b[1] - a[1]);
+                const count = Object.values(totals).reduce((sum, v) => sum + v, 0);
+                return `${count} mood${count === 1 ? '' : 's'} logged. Most often: ${top[0]}.`;
             }
+            const unit = this.metric === 'symptoms' ? 'symptoms a month' : 'days';
+            const what = this.metric === 'cycle' ? 'cycle' : this.metric === 'period' ? 'period' : 'month';
+            return `Average ${round(stats.mean)} ${unit} over ${stats.count} ${what}${stats.count === 1 ? '' : 's'}, ` +
+                `ranging from ${stats.min} to ${stats.max}. The shaded band is one standard deviation (±${round(stats.sd)}) around the average.`;
+        },
 
-            d.addEventListener('click', () => {
-                // Future: Navigate to log for this date
-            });
+        onKey(e) {
+            const count = this.series ? this.series.points.length : 0;
+            if (count === 0) return;
+            if (e.key === 'Escape') return this.select(null);
+            const current = this.selected === null ? count : this.selected;
+            const moves = { ArrowLeft: current - 1, ArrowRight: current + 1, Home: 0, End: count - 1 };
+            if (!(e.key in moves)) return;
+            e.preventDefault();
+            this.select(Math.max(0, Math.min(count - 1, moves[e.key])));
+        },
 
-            grid.appendChild(d);
+        // Highlights a point and shows its tooltip; null hides both
+        select(index) {
+            const chart = document.getElementById('trend-chart');
+            const tooltip = document.getElementById('trend-tooltip');
+            const cursor = chart.querySelector('.trend-cursor');
+            chart.querySelectorAll('.selected').forEach(el => el.classList.remove('selected'));
+            const point = index === null ? null : this.series.points[index];
+            this.selected = point ? index : null;
+            if (!point) {
+                tooltip.classList.add('hidden');
+                if (cursor) cursor.classList.add('hidden');
+                return;
+            }
+
+            chart.querySelectorAll(`[data-point="${index}"]`).forEach(el => el.classList.add('selected'));
+            cursor.setAttribute('x1', this.positions[index]);
+            cursor.setAttribute('x2', this.positions[index]);
+            cursor.classList.remove('hidden');
+            tooltip.innerText = point.text;
+            // Kept clear of the edges so the text isn't cut off
+            tooltip.style.left = `${Math.max(20, Math.min(80, this.positions[index] / this.WIDTH * 100))}%`;
+            tooltip.classList.remove('hidden');
         }
     },
 
-    renderAnalytics() {
-        const list = document.getElementById('history-list');
-        list.innerHTML = '';
-        const cycles = AppState.getCycles();
-        const avg = AppState.getAverageCycleLength();
+    // --- DOCTOR REPORT (#report) ---
+    // A print-friendly summary; the browser's print dialog saves it as PDF
+    ReportController: {
+        init() {
+            ['report-from', 'report-to'].forEach(id => {
+                document.getElementById(id).addEventListener('change', () => this.render());
+            });
+            document.getElementById('btn-print-report').addEventListener('click', () => window.print());
+        },
 
-        cycles.forEach((c, idx) => {
-            let length = 0;
-            let status = '';
-            let statusClass = '';
+        // Defaults to the last twelve months
+        render() {
+            const from = document.getElementById('report-from');
+            const to = document.getElementById('report-to');
+            if (!to.value) to.value = LocalDate.today();
+            if (!from.value) {
+                from.value = LocalDate.addMonths(to.value, -12);
+            }
 
-            if (idx > 0) { // logic for previous cycle duration
-                const nextCycleStart = new Date(cycles[idx-1].startDate);
-                const currentCycleStart = new Date(c.startDate);
-                length = Math.ceil((nextCycleStart - currentCycleStart) / (1000 * 60 * 60 * 24));
-                const variance = length - avg;
-                
-                if (Math.abs(variance) <= 2) {
-                    status = 'Regular'; statusClass = 'badge-green';
-                } else {
-                    status = (variance > 0 ? `+${variance}` : variance) + ' days';
-                    statusClass = 'badge-orange';
-                }
-            } else {
-                length = 'Current'; status = 'Active';
+            const container = document.getElementById('report-content');
+            if (from.value > to.value) {
+                container.innerHTML = '<p class="report-empty">The start of the range is after its end.</p>';
+                return;
             }
 
-            const item = document.createElement('div');
-            item.className = 'history-item';
-            item.innerHTML = `
-                <div>
-                    <div class="history-date">${new Date(c.startDate).toLocaleDateString(undefined, {month:'short', day:'numeric'})}</div>
-                    <small style="color:#888">${length === 'Current' ? 'Ongoing' : length + ' days'}</small>
+            const user = AppState.getCurrentUser();
+            const report = CycleStats.buildReport(user, from.value, to.value);
+            container.innerHTML = `
+                <div class="report-heading">
+                    <h2>Menstrual Cycle Report</h2>
+                    <p>${UI.escapeHtml(user.name)} • ${this.formatDate(report.from)} – ${this.formatDate(report.to)}</p>
+                    <small>Generated ${new Date().toLocaleDateString(undefined, { year: 'numeric', month: 'long', day: 'numeric' })} with CycleSync. Self-reported data.</small>
                 </div>
-                ${status ? `<span class="history-badge ${statusClass}">${status}</span>` : ''}
+                ${this.renderSummary(report)}
+                ${this.renderCycles(report)}
+                ${this.renderSymptoms(report, user)}
+                ${this.renderHeavyFlow(report)}
             `;
-            list.appendChild(item);
-        });
-
-        // Chart logic (existing)
-        const chart = document.getElementById('trend-chart');
-        chart.innerHTML = '';
-        const chartData = [];
-        for(let i = Math.min(cycles.length - 1, 6); i > 0; i--) {
-            const nextCycleStart = new Date(cycles[i-1].startDate);
-            const currentCycleStart = new Date(cycles[i].startDate);
-            const diff = Math.ceil((nextCycleStart - currentCycleStart) / (1000 * 60 * 60 * 24));
-            chartData.push({ len: diff, date: cycles[i].startDate });
-        }
+        },
 
-        if (chartData.length === 0) {
-            chart.innerHTML = '<p style="width:100%; text-align:center; color:#ccc">Not enough data</p>';
-            return;
-        }
-        
-        const maxLen = Math.max(...chartData.map(d => d.len), 35);
-        chartData.forEach(d => {
-            const bar = document.createElement('div');
-            bar.className = 'chart-bar';
-            bar.style.height = `${(d.len / maxLen) * 100}%`;
-            const label = document.createElement('div');
-            label.className = 'chart-label';
-            const dateObj = new Date(d.date);
-            label.innerText = `${dateObj.getMonth()+1}/${dateObj.getDate()}`;
-            bar.appendChild(label);
-            chart.appendChild(bar);
-        });
-    },
-
-    checkNotifications() {
-        if (!("Notification" in window)) return;
-        const cycle = AppState.getLatestCycle();
-        if (!cycle) return;
-        
-        const avgLength = AppState.getAverageCycleLength();
-        const start = new Date(cycle.startDate);
-        const next = new Date(start);
-        next.setDate(start.getDate() + avgLength);
-        const today = new Date();
-        const diff = Math.ceil((next - today) / (1000 * 60 * 60 * 24));
-        
-        if (diff === 1 && Notification.permission === "granted") {
-            new Notification("CycleSync", { body: "Your period is predicted to start tomorrow!" });
-        }
-    },
+        formatDate(dateStr) {
+            return LocalDate.display(dateStr, { month: 'short', day: 'numeric', year: 'numeric' });
+        },
 
-    // --- SUB-CONTROLLERS ---
+        renderSummary(report) {
+            const row = (label, stats) => stats ? `
+                <tr>
+                    <td>${label}</td><td>${stats.count}</td><td>${stats.mean.toFixed(1)}</td>
+                    <td>${stats.median}</td><td>${stats.sd.toFixed(1)}</td><td>${stats.min}–${stats.max}</td>
+                </tr>` : `<tr><td>${label}</td><td colspan="5">Not enough data</td></tr>`;
+            const flagged = report.cycles.filter(c => c.flags.length).length;
+            return `
+                <section class="report-section">
+                    <h3>Summary (days)</h3>
+                    <table class="report-table">
+                        <thead><tr><th></th><th>n</th><th>Mean</th><th>Median</th><th>SD</th><th>Range</th></tr></thead>
+                        <tbody>${row('Cycle length', report.cycleLength)}${row('Period length', report.periodLength)}</tbody>
+                    </table>
+                    <p>${report.cycles.length} period${report.cycles.length === 1 ? '' : 's'} started in this range; ${flagged} flagged as irregular. ${report.logCount} daily log${report.logCount === 1 ? '' : 's'}.</p>
+                </section>`;
+        },
 
-    BreatheController: {
-        timer: null,
-        textEl: null,
-        circleEl: null,
-        
-        start() {
-            document.getElementById('breathe-modal').classList.remove('hidden');
-            this.textEl = document.getElementById('breathe-instruction');
-            this.circleEl = document.querySelector('.breathe-circle');
-            
-            this.circleEl.classList.add('breathe-anim');
-            this.runCycle();
+        renderCycles(report) {
+            if (report.cycles.length === 0) {
+                return '<section class="report-section"><h3>Cycles</h3><p class="report-empty">No periods logged in this range.</p></section>';
+            }
+            const rows = report.cycles.map(c => `
+                <tr class="${c.flags.length ? 'report-flagged' : ''}">
+                    <td>${this.formatDate(c.startDate)}</td>
+                    <td>${c.endDate ? this.formatDate(c.endDate) : 'Ongoing'}</td>
+                    <td>${c.cycleLength !== null ? c.cycleLength : '—'}</td>
+                    <td>${c.periodLength !== null ? c.periodLength : '—'}</td>
+                    <td>${c.flags.join('; ')}</td>
+                </tr>`).join('');
+            return `
+                <section class="report-section">
+                    <h3>Cycles</h3>
+                    <table class="report-table">
+                        <thead><tr><th>Period start</th><th>Period end</th><th>Cycle length</th><th>Period length</th><th>Flags</th></tr></thead>
+                        <tbody>${rows}</tbody>
+                    </table>
+                </section>`;
         },
-        
-        stop() {
-            document.getElementById('breathe-modal').classList.add('hidden');
-            if(this.timer) clearTimeout(this.timer);
-            this.circleEl.classList.remove('breathe-anim');
+
+        renderSymptoms(report, user) {
+            if (report.topSymptoms.length === 0) {
+                return '<section class="report-section"><h3>Symptoms</h3><p class="report-empty">No symptoms logged in this range.</p></section>';
+            }
+            const label = s => `${UI.escapeHtml(Vocabulary.label(user, 'symptoms', s.name))} (${s.count})`;
+            const rows = report.symptomsByDay.map(d => `
+                <tr><td>Day ${d.day}</td><td>${d.symptoms.map(label).join(', ')}</td></tr>`).join('');
+            return `
+                <section class="report-section">
+                    <h3>Symptoms</h3>
+                    <p>Most frequent overall: ${report.topSymptoms.slice(0, 5).map(label).join(', ')}.</p>
+                    <table class="report-table">
+                        <thead><tr><th>Cycle day</th><th>Most frequent symptoms (times logged)</th></tr></thead>
+                        <tbody>${rows}</tbody>
+                    </table>
+                </section>`;
         },
-        
-        runCycle() {
-            // Match animation: 4s Inhale, 4s Hold, 4s Exhale, 4s Hold
-            const step = () => {
-                // Inhale
-                this.textEl.innerText = "Inhale...";
-                
-                this.timer = setTimeout(() => {
-                    // Hold
-                    this.textEl.innerText = "Hold...";
-                    
-                    this.timer = setTimeout(() => {
-                        // Exhale
-                        this.textEl.innerText = "Exhale...";
-                        
-                        this.timer = setTimeout(() => {
-                            // Hold
-                             this.textEl.innerText = "Hold...";
-                             
-                             this.timer = setTimeout(() => {
-                                 step(); // Loop
-                             }, 4000);
-                        }, 4000);
-                    }, 4000);
-                }, 4000);
-            };
-            step();
+
+        renderHeavyFlow(report) {
+            const days = report.heavyFlowDays;
+            const list = days.map(d => `${this.formatDate(d.date)}${d.cycleDay ? ` (day ${d.cycleDay})` : ''}`).join(', ');
+            return `
+                <section class="report-section">
+                    <h3>Heavy Flow Days</h3>
+                    <p>${days.length ? `${days.length} day${days.length === 1 ? '' : 's'}: ${list}.` : 'None logged in this range.'}</p>
+                </section>`;
         }
     },
 
-    LogController: {
-        selectedMood: null,
-        selectedFlow: null,
-        selectedSymptoms: new Set(),
-        
+    SettingsController: {
         init() {
-            // Toggle Views
-            document.getElementById('btn-show-log-form').addEventListener('click', () => {
-                document.getElementById('log-form-container').classList.remove('hidden');
-                document.getElementById('log-history-container').classList.add('hidden');
-                document.getElementById('btn-show-log-form').classList.add('active');
-                document.getElementById('btn-show-log-history').classList.remove('active');
+            // Export (encrypted with the app passcode when one is set). Other
+            // people's PIN-protected profiles stay out of the file.
+            document.getElementById('btn-export-data').addEventListener('click', () => {
+                const data = AppState.exportableData();
+                const left = AppState.data.users.length - data.users.length;
+                Backup.build(data, AppState.lockConfig).then(json => {
+                    const stamp = LocalDate.today();
+                    this.download(json, `cyclesync_backup_${stamp}.json`, 'application/json');
+                    if (left) alert(`${left} PIN-protected profile${left === 1 ? ' was' : 's were'} left out. To back ${left === 1 ? 'it' : 'them'} up, open ${left === 1 ? 'it' : 'each one'} and export from there.`);
+                });
             });
-            
-            document.getElementById('btn-show-log-history').addEventListener('click', () => {
-                document.getElementById('log-form-container').classList.add('hidden');
-                document.getElementById('log-history-container').classList.remove('hidden');
-                document.getElementById('btn-show-log-form').classList.remove('active');
-                document.getElementById('btn-show-log-history').classList.add('active');
-                this.renderHistory();
+
+            // CSV export: one file for periods, one for daily logs
+            const csvExportModal = document.getElementById('csv-export-modal');
+            document.getElementById('btn-export-csv').addEventListener('click', () => {
+                if (!AppState.getCurrentUser()) return;
+                csvExportModal.classList.remove('hidden');
+            });
+            document.getElementById('btn-csv-export-cycles').addEventListener('click', () => {
+                const user = AppState.getCurrentUser();
+                this.download(CsvTransfer.exportCycles(user), `cyclesync_${this.fileSlug(user)}_periods.csv`, 'text/csv');
             });
+            document.getElementById('btn-csv-export-logs').addEventListener('click', () => {
+                const user = AppState.getCurrentUser();
+                this.download(CsvTransfer.exportLogs(user), `cyclesync_${this.fileSlug(user)}_logs.csv`, 'text/csv');
+            });
+            document.getElementById('btn-csv-export-close').addEventListener('click', () => csvExportModal.classList.add('hidden'));
 
-            // Mood
-            document.querySelectorAll('#mood-selector button').forEach(btn => {
-                btn.addEventListener('click', () => {
-                    document.querySelectorAll('#mood-selector button').forEach(b => b.classList.remove('selected'));
-                    btn.classList.add('selected');
-                    this.selectedMood = btn.dataset.mood;
-                });
+            // CSV import: map columns, import, then report rejected rows
+            document.getElementById('file-import-csv').addEventListener('change', (e) => {
+                const file = e.target.files[0];
+                e.target.value = ''; // Allow picking the same file again
+                if (!file || !AppState.getCurrentUser()) return;
+                const reader = new FileReader();
+                reader.onload = (e) => this.openCsvImport(file.name, e.target.result);
+                reader.readAsText(file);
+            });
+            const dateFormat = document.getElementById('csv-date-format');
+            Object.entries(CsvTransfer.DATE_FORMATS).forEach(([value, label]) => dateFormat.add(new Option(label, value)));
+            document.getElementById('csv-kind').addEventListener('change', (e) => {
+                this.csvImport.kind = e.target.value;
+                this.csvImport.mapping = CsvTransfer.guessMapping(this.csvImport.rows[0], e.target.value);
+                this.renderCsvMapping();
             });
+            document.getElementById('btn-csv-cancel').addEventListener('click', () => {
+                document.getElementById('csv-import-modal').classList.add('hidden');
+                this.csvImport = null;
+            });
+            document.getElementById('btn-csv-import').addEventListener('click', () => this.applyCsvImport());
 
-            // Flow
-            document.querySelectorAll('#flow-selector button').forEach(btn => {
-                btn.addEventListener('click', () => {
-                    document.querySelectorAll('#flow-selector button').forEach(b => b.classList.remove('selected'));
-                    btn.classList.add('selected');
-                    this.selectedFlow = btn.dataset.flow;
+            // Calendar (.ics) export of the current profile
+            const icsModal = document.getElementById('ics-export-modal');
+            document.getElementById('btn-export-ics').addEventListener('click', () => {
+                if (!AppState.getCurrentUser()) return;
+                icsModal.classList.remove('hidden');
+            });
+            document.getElementById('btn-ics-cancel').addEventListener('click', () => icsModal.classList.add('hidden'));
+            document.getElementById('btn-ics-download').addEventListener('click', () => {
+                const reminder = document.getElementById('ics-reminder').value;
+                const user = AppState.getCurrentUser();
+                const ics = CalendarExport.build(user, {
+                    predictions: document.getElementById('ics-include-predictions').checked,
+                    fertile: document.getElementById('ics-include-fertile').checked,
+                    reminderDays: reminder === '' ? null : Number(reminder)
                 });
+                this.download(ics, `cyclesync_${this.fileSlug(user)}.ics`, 'text/calendar');
+                icsModal.classList.add('hidden');
             });
 
-            // Symptoms
-            document.querySelectorAll('.tag').forEach(btn => {
-                btn.addEventListener('click', () => {
-                    const sym = btn.dataset.symptom;
-                    if (this.selectedSymptoms.has(sym)) {
-                        this.selectedSymptoms.delete(sym);
-                        btn.classList.remove('selected');
-                    } else {
-                        this.selectedSymptoms.add(sym);
-                        btn.classList.add('selected');
+            // Import: validate, then let the user choose how to apply it
+            document.getElementById('file-import').addEventListener('change', (e) => {
+                const file = e.target.files[0];
+                e.target.value = ''; // Allow picking the same file again
+                if (!file) return;
+                const reader = new FileReader();
+                reader.onload = (e) => this.readBackup(e.target.result);
+                reader.readAsText(file);
+            });
+
+            document.querySelectorAll('input[name="import-mode"]').forEach(radio => {
+                radio.addEventListener('change', () => this.syncImportMode());
+            });
+            document.getElementById('btn-import-cancel').addEventListener('click', () => {
+                document.getElementById('import-preview-modal').classList.add('hidden');
+                this.pendingImport = null;
+            });
+            document.getElementById('btn-import-confirm').addEventListener('click', () => this.applyImport());
+
+            // Notifications
+            document.getElementById('btn-enable-notifs').addEventListener('click', () => {
+                Notification.requestPermission().then(perm => {
+                    if(perm === 'granted') {
+                        Reminders.sync();
+                        alert("Notifications enabled!");
                     }
                 });
             });
 
-            // Save
-            document.getElementById('btn-save-log').addEventListener('click', () => {
-                const today = new Date().toISOString().split('T')[0];
-                const data = {
-                    mood: this.selectedMood,
-                    flow: this.selectedFlow,
-                    symptoms: Array.from(this.selectedSymptoms)
+            // Passcode
+            document.getElementById('btn-set-passcode').addEventListener('click', () => {
+                UI.askPassphrase(
+                    AppState.lockConfig ? 'Change Passcode' : 'Set Passcode',
+                    'Your data and backups will be encrypted with this passcode. If you forget it, they cannot be recovered.',
+                    true
+                ).then(passphrase => {
+                    if (!passphrase) return;
+                    AppState.setPassphrase(passphrase).then(() => {
+                        this.renderSecurity();
+                        alert("Passcode set. Your data is now encrypted on this device.");
+                    });
+                });
+            });
+            document.getElementById('btn-remove-passcode').addEventListener('click', () => {
+                UI.showConfirm('Remove Passcode?', 'Your data will be stored on this device without encryption.', () => {
+                    AppState.removePassphrase().then(() => this.renderSecurity());
+                });
+            });
+            document.getElementById('btn-lock-now').addEventListener('click', () => UI.LockController.lock());
+            this.renderSecurity();
+
+            // Fertility awareness mode (per profile)
+            document.getElementById('btn-fertility-mode').addEventListener('click', () => {
+                const user = AppState.getCurrentUser();
+                if (!user) return;
+                const toggle = () => {
+                    user.fertilityAwareness = !user.fertilityAwareness;
+                    Storage.putProfile(user).catch(console.error);
+                    Reminders.refresh();
+                    this.renderLogging();
                 };
-                AppState.saveDailyLog(today, data);
-                // Return to dashboard
-                window.location.hash = '#dashboard';
+                if (user.fertilityAwareness) return toggle();
+                UI.showConfirm('Turn On Fertility Awareness?',
+                    'Log your basal body temperature each morning before getting up, and your cervical mucus. Ovulation is confirmed once a temperature shift and drying mucus agree. CycleSync is not a contraceptive.',
+                    toggle);
             });
         },
 
-        initForm() {
-            // Reset Toggle to Form
-            document.getElementById('btn-show-log-form').click();
+        renderLogging() {
+            const user = AppState.getCurrentUser();
+            const on = FertilityAwareness.isEnabled(user);
+            document.getElementById('fertility-mode-label').innerText = `Fertility Awareness Mode: ${on ? 'On' : 'Off'}`;
+            const pregnancy = { pregnant: 'Pregnancy Mode: Pregnant', postpartum: 'Pregnancy Mode: Postpartum' }[Pregnancy.status(user)];
+            document.getElementById('pregnancy-label').innerText = pregnancy || 'Pregnancy Mode';
+            document.getElementById('contraception-label').innerText = `Contraception: ${Contraception.describe(Contraception.get(user))}`;
+        },
 
-            // Reset or Load existing data for today
-            const today = new Date().toISOString().split('T')[0];
-            const data = AppState.getLog(today);
-            
-            // Reset UI
-            document.querySelectorAll('.selected').forEach(el => el.classList.remove('selected'));
-            this.selectedMood = null;
-            this.selectedFlow = null;
-            this.selectedSymptoms.clear();
+        renderSecurity() {
+            const locked = !!AppState.lockConfig;
+            document.getElementById('passcode-label').innerText = locked ? 'Change Passcode' : 'Set App Passcode';
+            document.getElementById('btn-remove-passcode').classList.toggle('hidden', !locked);
+            document.getElementById('btn-lock-now').classList.toggle('hidden', !locked);
+        },
 
-            if (data) {
-                // Pre-fill
-                if(data.mood) {
-                    const b = document.querySelector(`button[data-mood="${data.mood}"]`);
-                    if(b) b.click();
-                }
-                if(data.flow) {
-                    const b = document.querySelector(`button[data-flow="${data.flow}"]`);
-                    if(b) b.click();
-                }
-                if(data.symptoms) {
-                    data.symptoms.forEach(s => {
-                         const b = document.querySelector(`button[data-symptom="${s}"]`);
-                         if(b) b.click(); // trigger toggle logic
+        // Validates a backup (asking for its passcode if it is encrypted) and opens the preview
+        readBackup(text, passphrase = null) {
+            Backup.parse(text, passphrase).then(result => {
+                if (result.encrypted && result.errors.length === 0) {
+                    UI.askPassphrase('Encrypted Backup', 'Enter the passcode that was set when this backup was made.').then(entered => {
+                        if (entered) this.readBackup(text, entered);
                     });
+                    return;
+                }
+                if (result.errors.length) {
+                    const shown = result.errors.slice(0, 5).join('\n');
+                    const more = result.errors.length > 5 ? `\n…and ${result.errors.length - 5} more.` : '';
+                    alert(`This backup can't be imported:\n${shown}${more}`);
+                    return;
                 }
+                this.showImportPreview(result.data);
+            });
+        },
+
+        pendingImport: null, // Validated backup data awaiting the user's choice
+        csvImport: null,     // { rows, kind, mapping } while the CSV mapping step is open
+
+        fileSlug(user) {
+            return user.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'profile';
+        },
+
+        openCsvImport(filename, text) {
+            const rows = CsvTransfer.parse(text);
+            if (rows.length < 2) {
+                alert("This file has no rows to import. The first line should name the columns.");
+                return;
             }
+            const kind = CsvTransfer.guessKind(rows[0]);
+            this.csvImport = { rows: rows, kind: kind, mapping: CsvTransfer.guessMapping(rows[0], kind) };
+
+            document.getElementById('csv-file-summary').innerText = `${filename}: ${rows.length - 1} row${rows.length === 2 ? '' : 's'}`;
+            document.getElementById('csv-kind').value = kind;
+            document.getElementById('csv-date-format').value = 'ymd';
+            document.getElementById('csv-mapping-step').classList.remove('hidden');
+            document.getElementById('csv-report-step').classList.add('hidden');
+            document.getElementById('btn-csv-import').classList.remove('hidden');
+            document.getElementById('btn-csv-cancel').innerText = 'Cancel';
+            this.renderCsvMapping();
+            document.getElementById('csv-import-modal').classList.remove('hidden');
         },
 
-        renderHistory() {
-            const list = document.getElementById('log-history-list');
-            list.innerHTML = '';
-            const user = AppState.getCurrentUser();
-            if(!user || !user.logs || Object.keys(user.logs).length === 0) {
-                list.innerHTML = '<p style="text-align:center; color:#999; padding:2rem;">No logs yet. Start tracking today!</p>';
+        // One column picker per field of the chosen kind
+        renderCsvMapping() {
+            const { rows, kind, mapping } = this.csvImport;
+            const container = document.getElementById('csv-mapping');
+            container.innerHTML = '';
+            document.getElementById('csv-mapping-error').classList.add('hidden');
+
+            CsvTransfer.FIELDS[kind].forEach(field => {
+                const group = document.createElement('div');
+                group.className = 'input-group';
+                group.innerHTML = `<label></label><select></select>`;
+                group.querySelector('label').innerText = field.label + (field.required ? '' : ' (optional)');
+                const select = group.querySelector('select');
+                select.add(new Option(field.required ? 'Choose a column' : 'Not in this file', -1));
+                rows[0].forEach((header, i) => select.add(new Option(header || `Column ${i + 1}`, i)));
+                select.value = mapping[field.key];
+                select.addEventListener('change', () => { mapping[field.key] = Number(select.value); });
+                container.appendChild(group);
+            });
+        },
+
+        applyCsvImport() {
+            const { rows, kind, mapping } = this.csvImport;
+            const missing = CsvTransfer.FIELDS[kind].find(f => f.required && mapping[f.key] === -1);
+            if (missing) {
+                const error = document.getElementById('csv-mapping-error');
+                error.innerText = `Choose the column that holds the ${missing.label.toLowerCase()}.`;
+                error.classList.remove('hidden');
                 return;
             }
 
-            // Convert logs object to array and sort descending
-            const logsArr = Object.entries(user.logs)
-                .map(([date, data]) => ({ date, ...data }))
-                .sort((a, b) => new Date(b.date) - new Date(a.date));
+            const dateFormat = document.getElementById('csv-date-format').value;
+            const read = CsvTransfer.readRows(rows.slice(1), kind, mapping, dateFormat, AppState.getCurrentUser());
+            const result = AppState.importCsv(kind, read.records);
+            const rejected = read.rejected.concat(result.rejected).sort((a, b) => a.line - b.line);
+            this.showCsvReport(kind, result.added, rejected);
+            Router.handleRoute();
+        },
 
-            const moodMap = {
-                'happy': '😊', 'calm': '😌', 'sad': '😢', 'tired': '😴', 'angry': '😡'
-            };
+        showCsvReport(kind, added, rejected) {
+            const noun = kind === 'cycles' ? 'period' : 'daily log';
+            const summary = `Imported ${added} ${noun}${added === 1 ? '' : 's'}.` +
+                (rejected.length ? ` ${rejected.length} row${rejected.length === 1 ? ' was' : 's were'} not imported:` : '');
+            document.getElementById('csv-report-summary').innerText = summary;
 
-            logsArr.forEach(log => {
-                const dateObj = new Date(log.date);
-                const displayDate = dateObj.toLocaleDateString(undefined, { weekday:'short', month:'short', day:'numeric' });
-                const moodIcon = moodMap[log.mood] || '😐';
-                const flowText = log.flow ? `Flow: ${log.flow}` : '';
-                
-                let tagsHtml = '';
-                if(log.symptoms && log.symptoms.length > 0) {
-                    tagsHtml = log.symptoms.map(s => `<span class="mini-tag">${s}</span>`).join('');
-                }
+            const list = document.getElementById('csv-report-list');
+            list.innerHTML = '';
+            rejected.forEach(r => {
+                const item = document.createElement('li');
+                item.innerText = `Line ${r.line}: ${r.reason}`;
+                list.appendChild(item);
+            });
 
-                const item = document.createElement('div');
-                item.className = 'log-history-item';
+            document.getElementById('csv-mapping-step').classList.add('hidden');
+            document.getElementById('csv-report-step').classList.remove('hidden');
+            document.getElementById('btn-csv-import').classList.add('hidden');
+            document.getElementById('btn-csv-cancel').innerText = 'Done';
+            this.csvImport = null;
+        },
+
+        download(content, filename, type) {
+            const url = URL.createObjectURL(new Blob([content], { type: type }));
+            const downloadAnchorNode = document.createElement('a');
+            downloadAnchorNode.setAttribute("href", url);
+            downloadAnchorNode.setAttribute("download", filename);
+            document.body.appendChild(downloadAnchorNode);
+            downloadAnchorNode.click();
+            downloadAnchorNode.remove();
+            setTimeout(() => URL.revokeObjectURL(url), 1000);
+        },
+
+        showImportPreview(data) {
+            this.pendingImport = data;
+            const list = document.getElementById('import-profile-list');
+            list.innerHTML = '';
+
+            const formatDate = d => LocalDate.display(d, { month: 'short', day: 'numeric', year: 'numeric' });
+            Backup.summarize(data).forEach(p => {
+                const range = p.firstDate ? `${formatDate(p.firstDate)} – ${formatDate(p.lastDate)}` : 'No entries';
+                const item = document.createElement('label');
+                item.className = 'import-profile-item';
                 item.innerHTML = `
-                    <div class="log-history-mood">${moodIcon}</div>
-                    <div class="log-history-details">
-                        <div class="log-history-date">${displayDate}</div>
-                        <div class="log-history-meta">${flowText}</div>
-                        <div class="log-history-symptoms">${tagsHtml}</div>
+                    <input type="checkbox" checked>
+                    <div class="profile-avatar"></div>
+                    <div class="import-profile-details">
+                        <div class="import-profile-name"></div>
+                        <small>${p.cycleCount} cycles • ${p.logCount} logs</small>
+                        <small>${range}</small>
                     </div>
                 `;
+                item.querySelector('input').value = p.id;
+                item.querySelector('.profile-avatar').innerText = p.name.charAt(0);
+                item.querySelector('.import-profile-name').innerText = p.name;
                 list.appendChild(item);
             });
-        }
-    },
 
-    SettingsController: {
-        init() {
-            // Export
-            document.getElementById('btn-export-data').addEventListener('click', () => {
-                const dataStr = "data:text/json;charset=utf-8," + encodeURIComponent(JSON.stringify(AppState.data));
-                const downloadAnchorNode = document.createElement('a');
-                downloadAnchorNode.setAttribute("href", dataStr);
-                downloadAnchorNode.setAttribute("download", "cyclesync_backup.json");
-                document.body.appendChild(downloadAnchorNode);
-                downloadAnchorNode.click();
-                downloadAnchorNode.remove();
+            document.querySelector('input[name="import-mode"][value="merge"]').checked = true;
+            this.syncImportMode();
+            document.getElementById('import-preview-modal').classList.remove('hidden');
+        },
+
+        // PINs, by profile id, for the protected profiles an import would change; null if cancelled
+        askImportPins(targets) {
+            const current = AppState.getCurrentUser();
+            return targets.filter(u => AppState.hasProfilePin(u)).reduce((chain, user) => chain.then(pins => {
+                if (!pins) return null;
+                // Only the open profile's name is shown (see UI.profileLabel)
+                const which = user === current ? `"${user.name}"` : `PIN-protected profile ${AppState.data.users.indexOf(user) + 1} in your profile list`;
+                return UI.askPassphrase('Import Backup', `This import changes ${which}. Enter its PIN.`)
+                    .then(pin => pin === null ? null : { ...pins, [user.id]: pin });
+            }), Promise.resolve({}));
+        },
+
+        // Profile checkboxes only apply when importing selected profiles
+        syncImportMode() {
+            const mode = document.querySelector('input[name="import-mode"]:checked').value;
+            document.querySelectorAll('#import-profile-list input').forEach(box => {
+                box.disabled = mode !== 'selected';
+                if (mode !== 'selected') box.checked = true;
             });
+        },
 
-            // Import
-            document.getElementById('file-import').addEventListener('change', (e) => {
-                const file = e.target.files[0];
-                if (!file) return;
-                const reader = new FileReader();
-                reader.onload = (e) => {
-                    const success = AppState.importData(e.target.result);
-                    if(success) {
+        applyImport() {
+            const mode = document.querySelector('input[name="import-mode"]:checked').value;
+            const selected = Array.from(document.querySelectorAll('#import-profile-list input:checked')).map(box => box.value);
+            if (mode === 'selected' && selected.length === 0) {
+                alert('Select at least one profile to import.');
+                return;
+            }
+
+            const apply = () => {
+                const ids = mode === 'selected' ? selected : null;
+                const importMode = mode === 'replace' ? 'replace' : 'merge';
+                this.askImportPins(AppState.importTargets(this.pendingImport, importMode, ids)).then(pins => {
+                    if (!pins) return;
+                    AppState.importData(this.pendingImport, importMode, ids, pins).then(ok => {
+                        if (!ok) {
+                            alert('Wrong PIN. Nothing was imported.');
+                            return;
+                        }
                         alert("Data restored successfully!");
                         window.location.reload();
-                    } else {
-                        alert("Invalid file format.");
-                    }
-                };
-                reader.readAsText(file);
-            });
-
-            // Notifications
-            document.getElementById('btn-enable-notifs').addEventListener('click', () => {
-                Notification.requestPermission().then(perm => {
-                    if(perm === 'granted') alert("Notifications enabled!");
+                    }).catch(err => {
+                        console.error(err);
+                        alert("The backup could not be saved. Your existing data was not changed.");
+                        window.location.reload();
+                    });
                 });
-            });
+            };
+
+            if (mode === 'replace') {
+                UI.showConfirm('Replace Everything?', 'All profiles on this device will be replaced by the backup. This cannot be undone.', apply);
+            } else {
+                apply();
+            }
         }
     }
 };
 
 // Initialize
 document.addEventListener('DOMContentLoaded', () => {
-    AppState.init();
-    UI.init();
+    AppState.init()
+        .then(() => AppState.isLocked() ? UI.LockController.prompt() : null)
+        .then(() => AppState.load())
+        .catch(err => {
+            console.error('CycleSync: storage unavailable', err);
+            alert('Your browser blocked local storage, so changes will not be saved.');
+        })
+        .then(() => UI.init());
 
     // Register Service Worker for PWA / Offline Support
     if ('serviceWorker' in navigator) {
         navigator.serviceWorker.register('./sw.js')
-            .then(() => console.log('CycleSync: Offline Service Worker Active'))
+            .then(reg => {
+                console.log('CycleSync: Offline Service Worker Active');
+                UI.UpdateController.watch(reg);
+            })
             .catch(err => console.error('Service Worker Error', err));
     }
 });
\ No newline at end of file
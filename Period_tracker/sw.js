@@ -1,38 +1,207 @@
-const CACHE_NAME = 'cyclesync-v1';
-const ASSETS = [
-  './',
+// Bump VERSION with every release, together with the ?v= query on app.js and
+// style.css in index.html. The new worker then precaches the new shell and
+// waits until the user accepts the "Update available" banner.
+const VERSION = '1.3.0';
+const SHELL_CACHE = `cyclesync-shell-${VERSION}`;
+const FONT_CACHE = 'cyclesync-fonts';
+const RUNTIME_CACHE = 'cyclesync-runtime';
+const KEEP_CACHES = [SHELL_CACHE, FONT_CACHE, RUNTIME_CACHE];
+
+const SHELL_ASSETS = [
   './index.html',
-  './style.css',
-  './app.js',
-  'https://fonts.googleapis.com/css2?family=Nunito:wght@400;600;700;800&family=Poppins:wght@400;500;600&display=swap',
-  'https://fonts.googleapis.com/icon?family=Material+Icons+Round'
+  `./style.css?v=${VERSION}`,
+  `./app.js?v=${VERSION}`,
+  './manifest.json'
 ];
+const FONT_HOSTS = ['fonts.googleapis.com', 'fonts.gstatic.com'];
 
-// Install Service Worker
+// Install Service Worker: precache the app shell. Fonts are cached on first use.
 self.addEventListener('install', (event) => {
   event.waitUntil(
-    caches.open(CACHE_NAME).then((cache) => {
-      return cache.addAll(ASSETS);
-    })
+    caches.open(SHELL_CACHE).then((cache) => cache.addAll(SHELL_ASSETS))
   );
 });
 
-// Activate and Clean up old caches
+// Activate and clean up shells from older versions (and the pre-1.2 cache)
 self.addEventListener('activate', (event) => {
   event.waitUntil(
-    caches.keys().then((keys) => {
-      return Promise.all(
-        keys.filter((key) => key !== CACHE_NAME).map((key) => caches.delete(key))
-      );
-    })
+    caches.keys().then((keys) => Promise.all(
+      keys.filter((key) => key.startsWith('cyclesync-') && !KEEP_CACHES.includes(key)).map((key) => caches.delete(key))
+    )).then(() => self.clients.claim())
   );
 });
 
-// Fetch events - Network first, fallback to cache
+// The page asks the waiting worker to take over once the user accepts the update
+self.addEventListener('message', (event) => {
+  if (event.data && event.data.type === 'skip-waiting') self.skipWaiting();
+});
+
+function cacheFirst(request, cacheName) {
+  return caches.open(cacheName).then((cache) => cache.match(request).then((cached) =>
+    cached || fetch(request).then((response) => {
+      if (response.ok) cache.put(request, response.clone());
+      return response;
+    })
+  ));
+}
+
+function staleWhileRevalidate(request, cacheName) {
+  return caches.open(cacheName).then((cache) => cache.match(request).then((cached) => {
+    const network = fetch(request).then((response) => {
+      // Opaque font responses (status 0) are fine to keep
+      if (response.ok || response.type === 'opaque') cache.put(request, response.clone());
+      return response;
+    });
+    return cached || network;
+  }));
+}
+
+function networkFirst(request, cacheName) {
+  return caches.open(cacheName).then((cache) => fetch(request).then((response) => {
+    if (response.ok) cache.put(request, response.clone());
+    return response;
+  }).catch(() => cache.match(request)));
+}
+
+// Fetch events: shell cache-first, fonts stale-while-revalidate, everything else
+// network-first into the runtime cache
 self.addEventListener('fetch', (event) => {
-  event.respondWith(
-    fetch(event.request).catch(() => {
-      return caches.match(event.request);
+  const request = event.request;
+  if (request.method !== 'GET') return;
+  const url = new URL(request.url);
+
+  // Every page load is the app (hash routing), served from the precached shell
+  if (request.mode === 'navigate') {
+    event.respondWith(
+      caches.open(SHELL_CACHE).then((cache) => cache.match('./index.html')).then((cached) => cached || fetch(request))
+    );
+    return;
+  }
+  if (FONT_HOSTS.includes(url.hostname)) {
+    event.respondWith(staleWhileRevalidate(request, FONT_CACHE));
+    return;
+  }
+  if (url.origin === self.location.origin && url.searchParams.get('v') === VERSION) {
+    event.respondWith(cacheFirst(request, SHELL_CACHE));
+    return;
+  }
+  event.respondWith(networkFirst(request, RUNTIME_CACHE));
+});
+
+// --- Reminders ---
+// The page sends a plain schedule ({ id, at, title, body, url }); it is kept
+// in IndexedDB so periodic sync can deliver it while the app is closed.
+// Delivered ids are remembered so a rebuilt schedule never repeats one.
+const REMINDER_DB = 'cyclesync-reminders';
+const REMINDER_SYNC_TAG = 'cyclesync-reminders';
+const CATCH_UP_MS = 24 * 60 * 60 * 1000;
+
+function openReminderDb() {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(REMINDER_DB, 1);
+    request.onupgradeneeded = () => {
+      request.result.createObjectStore('schedule', { keyPath: 'id' });
+      request.result.createObjectStore('delivered', { keyPath: 'id' });
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function reminderTx(db, mode, work) {
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(['schedule', 'delivered'], mode);
+    const result = work(tx.objectStore('schedule'), tx.objectStore('delivered'));
+    tx.oncomplete = () => resolve(result && result.result !== undefined ? result.result : result);
+    tx.onerror = () => reject(tx.error);
+  });
+}
+
+function saveSchedule(items) {
+  return openReminderDb().then((db) => reminderTx(db, 'readwrite', (schedule, delivered) => {
+    schedule.clear();
+    items.forEach((item) => schedule.put(item));
+    // Forget deliveries too old to be caught up on again
+    delivered.openCursor().onsuccess = (e) => {
+      const cursor = e.target.result;
+      if (!cursor) return;
+      if (cursor.value.at < Date.now() - 2 * CATCH_UP_MS) cursor.delete();
+      cursor.continue();
+    };
+  }));
+}
+
+function readSchedule() {
+  return openReminderDb().then((db) => {
+    const reads = {};
+    return reminderTx(db, 'readonly', (schedule, delivered) => {
+      reads.schedule = schedule.getAll();
+      reads.delivered = delivered.getAllKeys();
+    }).then(() => ({ items: reads.schedule.result, delivered: new Set(reads.delivered.result) }));
+  });
+}
+
+function markDelivered(items) {
+  return openReminderDb().then((db) => reminderTx(db, 'readwrite', (schedule, delivered) => {
+    items.forEach((item) => delivered.put({ id: item.id, at: item.at }));
+  }));
+}
+
+function showReminder(item, extra = {}) {
+  return self.registration.showNotification(item.title, Object.assign({
+    body: item.body,
+    tag: item.id,
+    icon: 'https://cdn-icons-png.flaticon.com/512/2913/2913564.png',
+    data: { reminder: true, url: item.url, at: item.at }
+  }, extra));
+}
+
+// Shows everything due (within the catch-up window) that hasn't been shown yet
+function deliverDue() {
+  return readSchedule().then(({ items, delivered }) => {
+    const now = Date.now();
+    const due = items.filter((item) => item.at <= now && item.at > now - CATCH_UP_MS && !delivered.has(item.id));
+    return Promise.all(due.map((item) => showReminder(item))).then(() => markDelivered(due));
+  });
+}
+
+// Where notification triggers exist, hand future reminders to the browser
+// up front; they count as delivered so catch-up won't show them twice.
+// Triggers from the previous schedule are replaced, which also drops
+// reminders that no longer apply (e.g. a late alert once a period is logged).
+function scheduleTriggers(items) {
+  if (typeof TimestampTrigger === 'undefined') return Promise.resolve();
+  return self.registration.getNotifications({ includeTriggered: true }).then((pending) => {
+    pending.filter((n) => n.data && n.data.reminder && n.data.at > Date.now()).forEach((n) => n.close());
+    const future = items.filter((item) => item.at > Date.now());
+    return Promise.all(future.map((item) => showReminder(item, { showTrigger: new TimestampTrigger(item.at) })))
+      .then(() => markDelivered(future));
+  });
+}
+
+self.addEventListener('message', (event) => {
+  if (!event.data || event.data.type !== 'reminders-schedule') return;
+  const items = event.data.items;
+  event.waitUntil(
+    saveSchedule(items)
+      .then(() => scheduleTriggers(items))
+      .then(() => deliverDue())
+  );
+});
+
+self.addEventListener('periodicsync', (event) => {
+  if (event.tag === REMINDER_SYNC_TAG) event.waitUntil(deliverDue());
+});
+
+// Open (or focus) the app at the reminder's page
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close();
+  const url = new URL((event.notification.data && event.notification.data.url) || '#dashboard', self.registration.scope).href;
+  event.waitUntil(
+    self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then((clients) => {
+      const client = clients[0];
+      if (!client) return self.clients.openWindow(url);
+      return client.focus().then(() => client.navigate(url)).catch(() => client);
     })
   );
 });
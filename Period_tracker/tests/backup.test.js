@@ -0,0 +1,95 @@
+/**
+ * Checks for reading backup files (Backup.parse and Backup.validate) and
+ * importing them (AppState.importData).
+ * No dependencies: `node tests/backup.test.js` from Period_tracker/.
+ */
+const assert = require('assert');
+const { loadApp, plain, check, report } = require('./helpers');
+
+const { Backup, AppState, Storage } = loadApp(['Backup', 'AppState', 'Storage']);
+Storage.replaceAll = () => Promise.resolve();
+
+// A profile using every optional setting a backup can carry
+function profile(changes = {}) {
+    return {
+        id: 'u1',
+        name: 'Test',
+        cycles: [{ startDate: '2025-03-01', endDate: '2025-03-05' }],
+        logs: { '2025-03-02': { mood: 'tired', flow: 'medium', symptoms: ['cramps'] } },
+        vocabulary: { moods: [{ key: 'tired', label: 'Tired', emoji: '😴', low: true }], tags: [] },
+        reminders: { period: { enabled: true, daysBefore: 3, time: '08:30', quietStart: null, quietEnd: null } },
+        contraception: { method: 'pill', regimen: '21/7', startDate: '2025-03-01', packsLeft: 2, packsCountedFrom: '2025-03-01' },
+        pin: { salt: 'c2FsdA==', iterations: 100000, hash: 'aGFzaA==' },
+        ...changes
+    };
+}
+
+// Builds a backup file of one profile and reads it back
+function roundTrip(user) {
+    return Backup.build({ currentUserIndex: 0, users: [user] }).then(text => Backup.parse(text));
+}
+
+check('a backup with every profile setting reads back', () =>
+    roundTrip(profile()).then(result => {
+        assert.deepStrictEqual(plain(result.errors), []);
+        assert.strictEqual(result.data.users[0].contraception.regimen, '21/7');
+    })
+);
+
+const MALFORMED = [
+    ['vocabulary', 'not a list', { vocabulary: { symptoms: 'cramps' } }, 'invalid symptom, mood or tag lists'],
+    ['vocabulary', 'an entry without a label', { vocabulary: { moods: [{ key: 'tired' }] } }, 'invalid symptom, mood or tag lists'],
+    ['vocabulary', 'an array', { vocabulary: [] }, 'invalid symptom, mood or tag lists'],
+    ['reminders', 'a rule that is not an object', { reminders: { period: 'on' } }, 'invalid reminder settings'],
+    ['reminders', 'an unreadable time', { reminders: { log: { enabled: true, time: '8pm' } } }, 'invalid reminder settings'],
+    ['reminders', 'a negative day count', { reminders: { late: { daysLate: -1 } } }, 'invalid reminder settings'],
+    ['contraception', 'a string', { contraception: 'pill' }, 'invalid contraception settings'],
+    ['contraception', 'a pill without a pack type', { contraception: { method: 'pill', startDate: '2025-03-01' } }, 'invalid contraception settings'],
+    ['contraception', 'packs left without a count date', { contraception: { method: 'pill', regimen: '24/4', startDate: '2025-03-01', packsLeft: 2 } }, 'invalid contraception settings'],
+    ['contraception', 'an unknown method', { contraception: { method: 'toString', startDate: '2025-03-01' } }, 'invalid contraception settings'],
+    ['pin', 'a plain string', { pin: '1234' }, 'invalid PIN'],
+    ['pin', 'a hash without salt', { pin: { hash: 'aGFzaA==', iterations: 1 } }, 'invalid PIN']
+];
+
+MALFORMED.forEach(([field, what, changes, message]) => {
+    check(`a backup with ${field} as ${what} is rejected`, () =>
+        roundTrip(profile(changes)).then(result => {
+            assert.strictEqual(result.data, null);
+            assert.deepStrictEqual(plain(result.errors), [`Profile 1 (Test): ${message}.`]);
+        })
+    );
+});
+
+check('an unversioned dump is validated the same way', () =>
+    Backup.parse(JSON.stringify({ users: [profile({ reminders: [] })] })).then(result => {
+        assert.strictEqual(result.version, 1);
+        assert.strictEqual(result.data, null);
+        assert.deepStrictEqual(plain(result.errors), ['Profile 1 (Test): invalid reminder settings.']);
+    })
+);
+
+check('settings left off or null are fine', () => {
+    const user = profile();
+    delete user.vocabulary;
+    delete user.reminders;
+    user.contraception = null;
+    user.pin = null;
+    assert.deepStrictEqual(plain(Backup.validate({ users: [user] })), []);
+});
+
+check('profiles in an unversioned dump get ids and can be imported one by one', () => {
+    const dump = { users: [{ name: 'Ana', cycles: [], logs: {} }, { name: 'Bea', cycles: [{ startDate: '2025-03-01', endDate: null }], logs: {} }] };
+    AppState.data = { currentUserIndex: null, users: [] };
+    return Backup.parse(JSON.stringify(dump)).then(result => {
+        const ids = result.data.users.map(u => u.id);
+        assert.ok(ids.every(id => typeof id === 'string' && id), ids.join());
+        assert.notStrictEqual(ids[0], ids[1]);
+        assert.deepStrictEqual(Backup.summarize(result.data).map(p => p.id), ids);
+        return AppState.importData(result.data, 'merge', [ids[1]]);
+    }).then(ok => {
+        assert.strictEqual(ok, true);
+        assert.deepStrictEqual(AppState.data.users.map(u => u.name), ['Bea']);
+    });
+});
+
+report('backup');
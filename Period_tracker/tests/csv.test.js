@@ -0,0 +1,47 @@
+/**
+ * Checks for CSV export and import (CsvTransfer).
+ * No dependencies: `node tests/csv.test.js` from Period_tracker/.
+ */
+const assert = require('assert');
+const { loadApp, check, report } = require('./helpers');
+
+const { CsvTransfer } = loadApp(['CsvTransfer']);
+
+const user = {
+    id: 'u1',
+    name: 'Test',
+    cycles: [],
+    logs: {
+        '2025-03-02': { tags: ['+travel'], note: '=HYPERLINK("http://example.com","x")' },
+        '2025-03-03': { tags: ['work'], note: '-2 kg since @home, a+b=c' }
+    }
+};
+
+check('exported cells that start like a formula are kept as text', () => {
+    const rows = CsvTransfer.parse(CsvTransfer.exportLogs(user));
+    const note = rows[0].indexOf('note');
+    const tags = rows[0].indexOf('tags');
+    assert.strictEqual(rows[1][note], '\'=HYPERLINK("http://example.com","x")');
+    assert.strictEqual(rows[1][tags], '\'+travel');
+    assert.strictEqual(rows[2][note], '\'-2 kg since @home, a+b=c');
+    assert.strictEqual(rows[2][tags], 'work');
+    assert.strictEqual(rows[1][0], '2025-03-02');
+});
+
+check('an exported file imports back unchanged', () => {
+    const rows = CsvTransfer.parse(CsvTransfer.exportLogs(user));
+    const mapping = CsvTransfer.guessMapping(rows[0], 'logs');
+    const { records, rejected } = CsvTransfer.readRows(rows.slice(1), 'logs', mapping, 'ymd', user);
+    assert.strictEqual(rejected.length, 0);
+    assert.strictEqual(records[0].log.note, user.logs['2025-03-02'].note);
+    assert.strictEqual(records[0].log.tags[0], '+travel');
+    assert.strictEqual(records[1].log.note, user.logs['2025-03-03'].note);
+});
+
+check('an apostrophe before ordinary text is left alone on import', () => {
+    const rows = CsvTransfer.parse("date,note\r\n2025-03-02,'quoted'\r\n");
+    const { records } = CsvTransfer.readRows(rows.slice(1), 'logs', CsvTransfer.guessMapping(rows[0], 'logs'), 'ymd', user);
+    assert.strictEqual(records[0].log.note, "'quoted'");
+});
+
+report('csv');
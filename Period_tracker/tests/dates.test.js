@@ -0,0 +1,174 @@
+/**
+ * Checks for local calendar-date handling (LocalDate and the one-time
+ * migration in AppState.moveFutureDates), run once per timezone below.
+ * No dependencies: `node tests/dates.test.js` from Period_tracker/.
+ */
+const assert = require('assert');
+const { spawnSync } = require('child_process');
+const { loadApp, plain, check, report } = require('./helpers');
+
+// West and east of UTC, half-hour offsets, UTC+14, and DST in both hemispheres
+// (Sao Paulo's DST used to start at midnight, so that day had no 00:00)
+const TIMEZONES = [
+    'UTC',
+    'America/Los_Angeles',
+    'America/New_York',
+    'America/Sao_Paulo',
+    'Europe/London',
+    'Asia/Kolkata',
+    'Pacific/Auckland',
+    'Pacific/Kiritimati'
+];
+
+// DST changeovers in the zones above
+const DST_DAYS = [
+    '2026-03-08', '2026-11-01', // United States
+    '2026-03-29', '2026-10-25', // United Kingdom
+    '2026-04-05', '2026-09-27', // New Zealand
+    '2018-11-04', '2018-02-18'  // Brazil
+];
+
+if (!process.env.DATES_TEST_TZ) {
+    const failed = TIMEZONES.filter(tz => {
+        const run = spawnSync(process.execPath, [__filename], {
+            env: { ...process.env, TZ: tz, DATES_TEST_TZ: tz },
+            stdio: 'inherit'
+        });
+        return run.status !== 0;
+    });
+    if (failed.length) console.error(`\nFailed in: ${failed.join(', ')}`);
+    process.exit(failed.length ? 1 : 0);
+}
+
+const { LocalDate, AppState } = loadApp(['LocalDate', 'AppState']);
+
+check('parse and format round-trip every day, 2017-2028', () => {
+    for (let d = '2017-01-01'; d < '2029-01-01'; d = LocalDate.addDays(d, 1)) {
+        assert.strictEqual(LocalDate.format(LocalDate.parse(d)), d);
+    }
+});
+
+check('addDays and daysBetween step one day at a time, 2017-2028', () => {
+    let steps = 0;
+    for (let d = '2017-01-01'; d < '2029-01-01'; steps++) {
+        const next = LocalDate.addDays(d, 1);
+        assert.ok(next > d, `${next} after ${d}`);
+        assert.strictEqual(LocalDate.daysBetween(d, next), 1, d);
+        assert.strictEqual(LocalDate.addDays(next, -1), d);
+        d = next;
+    }
+    assert.strictEqual(LocalDate.daysBetween('2017-01-01', '2029-01-01'), steps);
+});
+
+check('DST changeover days', () => {
+    DST_DAYS.forEach(day => {
+        const before = LocalDate.addDays(day, -1);
+        const after = LocalDate.addDays(day, 1);
+        assert.strictEqual(LocalDate.daysBetween(before, after), 2, day);
+        assert.strictEqual(LocalDate.daysBetween(LocalDate.parse(before), LocalDate.parse(after)), 2, day);
+        assert.strictEqual(LocalDate.addDays(before, 2), after, day);
+        // Late in the evening is still the same day
+        const [y, m, d] = day.split('-').map(Number);
+        assert.strictEqual(LocalDate.daysBetween(day, new Date(y, m - 1, d, 23, 30)), 0, day);
+        assert.strictEqual(LocalDate.today(new Date(y, m - 1, d, 23, 59)), day);
+        assert.strictEqual(LocalDate.today(new Date(y, m - 1, d + 1, 0, 1)), after);
+        // A month either side keeps the day of the month
+        assert.strictEqual(LocalDate.addMonths(LocalDate.addMonths(day, 1), -1), day);
+    });
+});
+
+check('parse gives the start of the local day', () => {
+    const date = LocalDate.parse('2026-10-19');
+    assert.deepStrictEqual([date.getFullYear(), date.getMonth(), date.getDate()], [2026, 9, 19]);
+    assert.strictEqual(date.getMinutes(), 0);
+    // 01:00 only where midnight itself was skipped
+    assert.ok(LocalDate.parse('2018-11-04').getHours() <= 1);
+});
+
+check('addDays across months and years', () => {
+    assert.strictEqual(LocalDate.addDays('2026-12-31', 1), '2027-01-01');
+    assert.strictEqual(LocalDate.addDays('2024-03-01', -1), '2024-02-29');
+    assert.strictEqual(LocalDate.addDays('2026-10-19', 280), '2027-07-26');
+    assert.strictEqual(LocalDate.addDays('2026-10-19', 0), '2026-10-19');
+});
+
+check('addMonths clamps to the end of shorter months', () => {
+    assert.strictEqual(LocalDate.addMonths('2026-03-31', -1), '2026-02-28');
+    assert.strictEqual(LocalDate.addMonths('2024-03-31', -1), '2024-02-29');
+    assert.strictEqual(LocalDate.addMonths('2026-01-15', -12), '2025-01-15');
+    assert.strictEqual(LocalDate.addMonths('2026-11-30', 3), '2027-02-28');
+    assert.strictEqual(LocalDate.addMonths('2026-10-19', -3), '2026-07-19');
+});
+
+check('daysBetween mixes days and Dates and can be negative', () => {
+    assert.strictEqual(LocalDate.daysBetween('2026-10-19', '2026-10-01'), -18);
+    assert.strictEqual(LocalDate.daysBetween(new Date(2026, 9, 1, 22, 0), '2026-10-19'), 18);
+    assert.strictEqual(LocalDate.daysBetween('2026-01-01', '2027-01-01'), 365);
+    assert.strictEqual(LocalDate.daysBetween('2024-01-01', '2025-01-01'), 366);
+});
+
+check('isValid', () => {
+    assert.ok(LocalDate.isValid('2026-10-19'));
+    assert.ok(LocalDate.isValid('2024-02-29'));
+    assert.ok(!LocalDate.isValid('2026-02-29'));
+    assert.ok(!LocalDate.isValid('2026-02-30'));
+    assert.ok(!LocalDate.isValid('2026-13-01'));
+    assert.ok(!LocalDate.isValid('2026-1-01'));
+    assert.ok(!LocalDate.isValid('2026-10-19T00:00:00Z'));
+    assert.ok(!LocalDate.isValid(''));
+    assert.ok(!LocalDate.isValid(null));
+    assert.ok(!LocalDate.isValid(20261019));
+});
+
+check('moveFutureDates pulls logs dated after today back to today', () => {
+    const user = {
+        cycles: [],
+        logs: {
+            '2026-10-18': { mood: 'happy' },
+            '2026-10-19': { mood: 'sad' },
+            '2026-10-20': { mood: 'happy', flow: 'low', symptoms: ['cramps'] }
+        }
+    };
+    const moved = AppState.moveFutureDates(user, '2026-10-19');
+    assert.deepStrictEqual(plain(moved.logs), ['2026-10-20']);
+    assert.strictEqual(moved.cycles, false);
+    assert.deepStrictEqual(Object.keys(user.logs).sort(), ['2026-10-18', '2026-10-19']);
+    // What was already logged today wins
+    assert.deepStrictEqual({ ...user.logs['2026-10-19'] }, { mood: 'sad', flow: 'low', symptoms: ['cramps'] });
+    assert.deepStrictEqual({ ...user.logs['2026-10-18'] }, { mood: 'happy' });
+});
+
+check('moveFutureDates clamps period starts and ends', () => {
+    // A period started "tomorrow" and closed "tomorrow"
+    const started = { cycles: [{ startDate: '2026-09-20', endDate: '2026-09-24' }, { startDate: '2026-10-20', endDate: '2026-10-20' }], logs: {} };
+    assert.strictEqual(AppState.moveFutureDates(started, '2026-10-19').cycles, true);
+    assert.deepStrictEqual(started.cycles.map(c => [c.startDate, c.endDate]), [['2026-09-20', '2026-09-24'], ['2026-10-19', '2026-10-19']]);
+
+    // An earlier period that ended "tomorrow"
+    const ended = { cycles: [{ startDate: '2026-10-15', endDate: '2026-10-20' }], logs: {} };
+    assert.strictEqual(AppState.moveFutureDates(ended, '2026-10-19').cycles, true);
+    assert.deepStrictEqual(ended.cycles.map(c => [c.startDate, c.endDate]), [['2026-10-15', '2026-10-19']]);
+
+    // A pregnancy that ended "tomorrow"
+    const pregnant = { cycles: [{ startDate: '2026-01-10', endDate: '2026-01-14', pregnancy: { dueDate: '2026-10-17', endDate: '2026-10-20' } }], logs: {} };
+    AppState.moveFutureDates(pregnant, '2026-10-19');
+    assert.strictEqual(pregnant.cycles[0].pregnancy.endDate, '2026-10-19');
+    assert.strictEqual(pregnant.cycles[0].pregnancy.dueDate, '2026-10-17');
+});
+
+check('moveFutureDates keeps one period per start day', () => {
+    const user = { cycles: [{ startDate: '2026-10-19', endDate: null }, { startDate: '2026-10-20', endDate: null }], logs: {} };
+    AppState.moveFutureDates(user, '2026-10-19');
+    assert.deepStrictEqual(user.cycles.map(c => c.startDate), ['2026-10-19']);
+});
+
+check('moveFutureDates leaves past data alone', () => {
+    const cycles = [{ startDate: '2026-09-20', endDate: '2026-09-24' }, { startDate: '2026-10-18', endDate: null }];
+    const logs = { '2026-10-19': { mood: 'sad' } };
+    const user = { cycles: plain(cycles), logs: plain(logs) };
+    const moved = AppState.moveFutureDates(user, '2026-10-19');
+    assert.deepStrictEqual(plain(moved), { cycles: false, logs: [] });
+    assert.deepStrictEqual(plain(user), { cycles: cycles, logs: logs });
+});
+
+report(process.env.DATES_TEST_TZ);
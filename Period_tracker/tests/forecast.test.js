@@ -0,0 +1,52 @@
+/**
+ * Checks for projecting future cycles (PhaseEngine.forecast) and the
+ * calendar export built from it.
+ * No dependencies: `node tests/forecast.test.js` from Period_tracker/.
+ */
+const assert = require('assert');
+const { loadApp, plain, check, report } = require('./helpers');
+
+const { PhaseEngine, LocalDate, CalendarExport } = loadApp(['PhaseEngine', 'LocalDate', 'CalendarExport']);
+
+// Regular 28-day cycles, newest first, the last one starting on `lastStart`
+function cycles(lastStart) {
+    return [0, 1, 2, 3].map(i => {
+        const start = LocalDate.addDays(lastStart, -28 * i);
+        return { startDate: start, endDate: LocalDate.addDays(start, 4) };
+    });
+}
+
+const day = date => LocalDate.format(date);
+
+check('an on-time forecast counts on from the last period', () => {
+    const forecast = PhaseEngine.forecast(cycles('2025-03-01'), 6, LocalDate.parse('2025-03-10'));
+    assert.strictEqual(forecast.length, 7);
+    assert.deepStrictEqual(plain(forecast.map(f => day(f.start))), ['2025-03-01', '2025-03-29', '2025-04-26', '2025-05-24', '2025-06-21', '2025-07-19', '2025-08-16']);
+    assert.deepStrictEqual(plain(forecast.map(f => f.cycle)), [0, 1, 2, 3, 4, 5, 6]);
+});
+
+check('a late period is expected from today, with six cycles still ahead', () => {
+    const today = LocalDate.parse('2025-05-10'); // 42 days after the last start
+    const forecast = PhaseEngine.forecast(cycles('2025-03-01'), 6, today);
+    const predicted = forecast.filter(f => f.predicted);
+    assert.strictEqual(predicted.length, 6);
+    assert.strictEqual(day(predicted[0].start), '2025-05-10');
+    assert.strictEqual(day(predicted[1].start), '2025-06-07');
+    assert.ok(predicted.every(f => f.periodEnd >= today));
+    assert.deepStrictEqual(plain(predicted.map(f => f.cycle)), [1, 2, 3, 4, 5, 6]);
+    // The logged cycle stays where it was
+    assert.strictEqual(day(forecast[0].start), '2025-03-01');
+});
+
+check('the calendar export of a late period has six future predictions', () => {
+    const now = new Date();
+    const lastStart = LocalDate.addDays(LocalDate.today(now), -60);
+    const user = { id: 'u1', name: 'Test', cycles: cycles(lastStart), logs: {} };
+    const ics = CalendarExport.build(user, { predictions: true, fertile: false });
+    const starts = [...ics.matchAll(/UID:predicted-period-\d+[\s\S]*?DTSTART;VALUE=DATE:(\d{8})/g)].map(m => m[1]);
+    const today = LocalDate.today(now).replace(/-/g, '');
+    assert.strictEqual(starts.length, 6);
+    assert.ok(starts.every(s => s >= today), starts.join());
+});
+
+report('forecast');
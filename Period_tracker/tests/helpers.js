@@ -0,0 +1,56 @@
+/**
+ * Shared setup for the test scripts: loads app.js into a sandbox and
+ * collects named checks. No dependencies.
+ */
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+// app.js is a browser script; only what runs at load time needs a stand-in.
+// Returns the named top-level objects, e.g. loadApp(['LocalDate', 'AppState']).
+function loadApp(names) {
+    const context = {
+        console: console,
+        document: { addEventListener() {} },
+        window: {},
+        navigator: {},
+        localStorage: { getItem: () => null, setItem() {}, removeItem() {} },
+        crypto: globalThis.crypto,
+        TextEncoder: TextEncoder
+    };
+    vm.createContext(context);
+    const source = fs.readFileSync(path.join(__dirname, '..', 'app.js'), 'utf8');
+    const exports = names.map(name => `this.${name} = ${name};`).join(' ');
+    vm.runInContext(`${source}\n${exports}`, context);
+    return context;
+}
+
+// Objects made inside the sandbox have its prototypes, which deepStrictEqual compares
+const plain = value => JSON.parse(JSON.stringify(value));
+
+let failures = 0;
+const pending = [];
+
+// A check may return a promise; report() waits for it
+function check(name, fn) {
+    const fail = err => {
+        failures++;
+        console.error(`  ✗ ${name}: ${err.message}`);
+    };
+    try {
+        const result = fn();
+        if (result && typeof result.then === 'function') pending.push(result.then(null, fail));
+    } catch (err) {
+        fail(err);
+    }
+}
+
+// Prints one summary line once every check is done and sets the exit code
+function report(label) {
+    return Promise.all(pending).then(() => {
+        console.log(`${failures ? '✗' : '✓'} ${label}${failures ? `: ${failures} failed` : ''}`);
+        process.exitCode = failures ? 1 : 0;
+    });
+}
+
+module.exports = { loadApp, plain, check, report };
@@ -0,0 +1,58 @@
+/**
+ * Checks for logging period starts and ends (AppState.logPeriodEnd).
+ * No dependencies: `node tests/periods.test.js` from Period_tracker/.
+ */
+const assert = require('assert');
+const { loadApp, check, report } = require('./helpers');
+
+const { AppState, Storage, Reminders } = loadApp(['AppState', 'Storage', 'Reminders']);
+Storage.putCycles = () => Promise.resolve();
+Reminders.refresh = () => {};
+
+// Opens a profile holding just these cycles and returns it
+function profile(cycles) {
+    const user = { id: 'u1', name: 'Test', cycles: cycles, logs: {} };
+    AppState.data = { currentUserIndex: 0, users: [user] };
+    return user;
+}
+
+check('logPeriodEnd closes the open period', () => {
+    const user = profile([{ startDate: '2025-02-01', endDate: '2025-02-05' }, { startDate: '2025-03-01', endDate: null }]);
+    assert.strictEqual(AppState.logPeriodEnd('2025-03-05'), null);
+    assert.strictEqual(user.cycles.find(c => c.startDate === '2025-03-01').endDate, '2025-03-05');
+    assert.strictEqual(user.cycles.find(c => c.startDate === '2025-02-01').endDate, '2025-02-05');
+});
+
+check('logPeriodEnd moves the end of the period containing the day', () => {
+    const user = profile([{ startDate: '2025-03-01', endDate: '2025-03-06' }]);
+    assert.strictEqual(AppState.logPeriodEnd('2025-03-04'), null);
+    assert.strictEqual(user.cycles[0].endDate, '2025-03-04');
+    assert.strictEqual(AppState.logPeriodEnd('2025-03-04'), null);
+});
+
+check('logPeriodEnd leaves a closed period alone', () => {
+    const user = profile([{ startDate: '2025-03-01', endDate: '2025-03-05' }]);
+    const error = AppState.logPeriodEnd('2025-03-20');
+    assert.strictEqual(typeof error, 'string');
+    assert.strictEqual(user.cycles[0].endDate, '2025-03-05');
+    // The day after the end is still outside the period
+    assert.strictEqual(typeof AppState.logPeriodEnd('2025-03-06'), 'string');
+    assert.strictEqual(user.cycles[0].endDate, '2025-03-05');
+});
+
+check('logPeriodEnd refuses a period longer than MAX_PERIOD_LENGTH', () => {
+    const user = profile([{ startDate: '2025-03-01', endDate: null }]);
+    const error = AppState.logPeriodEnd('2025-03-15'); // 15 days
+    assert.strictEqual(typeof error, 'string');
+    assert.ok(error.includes('14 days'), error);
+    assert.strictEqual(user.cycles[0].endDate, null);
+    assert.strictEqual(AppState.logPeriodEnd('2025-03-14'), null);
+    assert.strictEqual(user.cycles[0].endDate, '2025-03-14');
+});
+
+check('logPeriodEnd needs a period start', () => {
+    profile([{ startDate: '2025-03-01', endDate: null }]);
+    assert.strictEqual(typeof AppState.logPeriodEnd('2025-02-20'), 'string');
+});
+
+report('periods');